@@ -0,0 +1,64 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// NFL bye weeks by pro team id. ESPN's proTeamSchedules_wl view is the source;
+// data/byeWeeks.json covers seasons we've bundled for when ESPN is unreachable.
+const FALLBACK_FILE = path.join(__dirname, '..', 'data', 'byeWeeks.json');
+
+// seasonId -> { byeWeeks: Map(proTeamId -> week), source }
+const cache = new Map();
+
+// settings.proTeams[] carries each team's byeWeek (0 for the "free agent" team)
+function parseProTeamByeWeeks(data) {
+    const proTeams = data && data.settings && data.settings.proTeams;
+    const byeWeeks = new Map();
+    if (!Array.isArray(proTeams)) return byeWeeks;
+
+    proTeams.forEach(team => {
+        if (team && team.id && team.byeWeek > 0) {
+            byeWeeks.set(team.id, team.byeWeek);
+        }
+    });
+    return byeWeeks;
+}
+
+async function loadFallbackByeWeeks(seasonId) {
+    let seasons;
+    try {
+        seasons = JSON.parse(await fs.readFile(FALLBACK_FILE, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return new Map();
+        throw error;
+    }
+
+    const teams = seasons[String(seasonId)] || [];
+    return new Map(teams.map(team => [team.proTeamId, team.byeWeek]));
+}
+
+// fetchSchedules resolves to ESPN's proTeamSchedules_wl response. Only a complete
+// answer is cached, so a failed ESPN call is retried on the next request.
+async function getByeWeeks(seasonId, fetchSchedules) {
+    if (cache.has(seasonId)) {
+        return cache.get(seasonId);
+    }
+
+    try {
+        const byeWeeks = parseProTeamByeWeeks(await fetchSchedules());
+        if (byeWeeks.size > 0) {
+            const result = { byeWeeks, source: 'espn' };
+            cache.set(seasonId, result);
+            return result;
+        }
+    } catch (error) {
+        console.warn(`Bye weeks for ${seasonId} unavailable from ESPN (${error.message}) - using bundled data`);
+    }
+
+    const byeWeeks = await loadFallbackByeWeeks(seasonId);
+    return { byeWeeks, source: byeWeeks.size > 0 ? 'fallback' : 'none' };
+}
+
+module.exports = {
+    parseProTeamByeWeeks,
+    loadFallbackByeWeeks,
+    getByeWeeks
+};
@@ -0,0 +1,159 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+// Personal cheat sheets: custom rankings (overall and per position), player tags,
+// notes and tier lines. One file per user per season. Users are identified by an id
+// the browser makes up, so this is a convenience store, not an access-controlled one.
+const STORAGE_DIR = path.join(__dirname, '..', 'storage', 'cheat-sheets');
+const USER_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,63}$/;
+const SEASON_ID_PATTERN = /^\d{4}$/;
+const LISTS = ['ALL', 'QB', 'RB', 'WR', 'TE', 'K', 'D/ST'];
+const TAGS = ['target', 'avoid', 'sleeper', 'breakout'];
+const MAX_RANKED_PLAYERS = 2000;
+const MAX_NOTE_LENGTH = 500;
+
+function isValidUserId(userId) {
+    return typeof userId === 'string' && USER_ID_PATTERN.test(userId);
+}
+
+function isValidSeasonId(seasonId) {
+    return SEASON_ID_PATTERN.test(String(seasonId));
+}
+
+function sheetPath(seasonId, userId) {
+    return path.join(STORAGE_DIR, String(seasonId), `${userId}.json`);
+}
+
+function isPlayerId(value) {
+    return Number.isInteger(value) && value > 0;
+}
+
+function emptyCheatSheet(seasonId) {
+    return {
+        seasonId: parseInt(seasonId),
+        updatedAt: null,
+        rankings: {},
+        tierBreaks: {},
+        players: {}
+    };
+}
+
+// Returns an error message, or null when the sheet is usable
+function validateCheatSheet(sheet) {
+    if (!sheet || typeof sheet !== 'object' || Array.isArray(sheet)) {
+        return 'Cheat sheet must be a JSON object';
+    }
+
+    const rankings = sheet.rankings || {};
+    const tierBreaks = sheet.tierBreaks || {};
+    const players = sheet.players || {};
+    for (const [name, value] of [['rankings', rankings], ['tierBreaks', tierBreaks], ['players', players]]) {
+        if (typeof value !== 'object' || Array.isArray(value)) {
+            return `${name} must be an object`;
+        }
+    }
+
+    for (const [list, playerIds] of Object.entries(rankings)) {
+        if (!LISTS.includes(list)) {
+            return `Unknown ranking list "${list}" - use ${LISTS.join(', ')}`;
+        }
+        if (!Array.isArray(playerIds) || !playerIds.every(isPlayerId)) {
+            return `rankings.${list} must be a list of player ids`;
+        }
+        if (playerIds.length > MAX_RANKED_PLAYERS) {
+            return `rankings.${list} can hold at most ${MAX_RANKED_PLAYERS} players`;
+        }
+        if (new Set(playerIds).size !== playerIds.length) {
+            return `rankings.${list} lists a player twice`;
+        }
+    }
+
+    // A tier break at n draws the line below the nth player of the list
+    for (const [list, breaks] of Object.entries(tierBreaks)) {
+        if (!LISTS.includes(list)) {
+            return `Unknown tier list "${list}" - use ${LISTS.join(', ')}`;
+        }
+        if (!Array.isArray(breaks) || !breaks.every(index => Number.isInteger(index) && index >= 1 && index <= MAX_RANKED_PLAYERS)) {
+            return `tierBreaks.${list} must be a list of ranks between 1 and ${MAX_RANKED_PLAYERS}`;
+        }
+    }
+
+    for (const [playerId, entry] of Object.entries(players)) {
+        if (!isPlayerId(Number(playerId))) {
+            return `"${playerId}" is not a player id`;
+        }
+        if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+            return `players.${playerId} must be an object`;
+        }
+        if (entry.tags !== undefined && (!Array.isArray(entry.tags) || !entry.tags.every(tag => TAGS.includes(tag)))) {
+            return `players.${playerId}.tags must use ${TAGS.join(', ')}`;
+        }
+        if (entry.note !== undefined && (typeof entry.note !== 'string' || entry.note.length > MAX_NOTE_LENGTH)) {
+            return `players.${playerId}.note must be text of at most ${MAX_NOTE_LENGTH} characters`;
+        }
+    }
+
+    return null;
+}
+
+// Drop empty lists and players with neither tags nor a note
+function normalizeCheatSheet(seasonId, sheet) {
+    const normalized = emptyCheatSheet(seasonId);
+    normalized.updatedAt = new Date().toISOString();
+
+    Object.entries(sheet.rankings || {}).forEach(([list, playerIds]) => {
+        if (playerIds.length) normalized.rankings[list] = playerIds;
+    });
+    Object.entries(sheet.tierBreaks || {}).forEach(([list, breaks]) => {
+        const unique = [...new Set(breaks)].sort((a, b) => a - b);
+        if (unique.length) normalized.tierBreaks[list] = unique;
+    });
+    Object.entries(sheet.players || {}).forEach(([playerId, entry]) => {
+        const tags = [...new Set(entry.tags || [])];
+        const note = (entry.note || '').trim();
+        if (tags.length || note) {
+            normalized.players[playerId] = { tags, note };
+        }
+    });
+
+    return normalized;
+}
+
+// Resolves to the user's sheet, or an empty one when they haven't saved any
+async function getCheatSheet(seasonId, userId) {
+    try {
+        return JSON.parse(await fs.readFile(sheetPath(seasonId, userId), 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return emptyCheatSheet(seasonId);
+        throw error;
+    }
+}
+
+// Replaces the user's sheet for the season. Resolves to { cheatSheet, error }.
+async function saveCheatSheet(seasonId, userId, sheet) {
+    const error = validateCheatSheet(sheet);
+    if (error) {
+        return { cheatSheet: null, error };
+    }
+
+    const cheatSheet = normalizeCheatSheet(seasonId, sheet);
+    const target = sheetPath(seasonId, userId);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    // Unique per write so two saves of the same sheet can't rename each other's temp file
+    const tempFile = `${target}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    await fs.writeFile(tempFile, JSON.stringify(cheatSheet, null, 2));
+    await fs.rename(tempFile, target);
+
+    return { cheatSheet, error: null };
+}
+
+module.exports = {
+    LISTS,
+    TAGS,
+    isValidUserId,
+    isValidSeasonId,
+    validateCheatSheet,
+    getCheatSheet,
+    saveCheatSheet
+};
@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+
+// ESPN league connections keyed by connection id, so several people can use
+// one server against different leagues without overwriting each other.
+const CONNECTION_HEADER = 'x-connection-id';
+const CONNECTION_COOKIE = 'connectionId';
+const CONNECTION_TTL_MS = 12 * 60 * 60 * 1000; // Idle connections expire after 12 hours
+
+const connections = new Map();
+
+function pruneExpired() {
+    const cutoff = Date.now() - CONNECTION_TTL_MS;
+    connections.forEach((connection, id) => {
+        if (connection.lastSeenAt < cutoff) {
+            connections.delete(id);
+        }
+    });
+}
+
+function parseCookies(cookieHeader) {
+    const cookies = {};
+    (cookieHeader || '').split(';').forEach(part => {
+        const separator = part.indexOf('=');
+        if (separator === -1) return;
+
+        const name = part.slice(0, separator).trim();
+        const value = part.slice(separator + 1).trim();
+        try {
+            cookies[name] = decodeURIComponent(value);
+        } catch (error) {
+            cookies[name] = value;
+        }
+    });
+    return cookies;
+}
+
+// Header wins over cookie so two tabs in one browser can use different leagues.
+// The query string covers EventSource, which can't send custom headers.
+function getConnectionId(req) {
+    return req.get(CONNECTION_HEADER) ||
+        (req.query && req.query.connectionId) ||
+        parseCookies(req.headers.cookie)[CONNECTION_COOKIE] ||
+        null;
+}
+
+function getConnection(connectionId) {
+    if (!connectionId) return null;
+
+    pruneExpired();
+    const connection = connections.get(connectionId);
+    if (connection) {
+        connection.lastSeenAt = Date.now();
+    }
+    return connection || null;
+}
+
+// Create a connection. The id is the caller's only credential, so it's always a fresh
+// one - a reconnect drops the caller's previous connection instead of reusing its id.
+function saveConnection(config, previousId) {
+    if (previousId) {
+        connections.delete(previousId);
+    }
+
+    const id = crypto.randomBytes(12).toString('hex');
+    const now = Date.now();
+
+    const connection = {
+        ...config,
+        id,
+        connectedAt: now,
+        lastSeenAt: now
+    };
+
+    connections.set(id, connection);
+    return connection;
+}
+
+function removeConnection(connectionId) {
+    return connections.delete(connectionId);
+}
+
+// Public view of a connection - never expose the ESPN cookies or the id
+function describeConnection(connection) {
+    return {
+        leagueId: connection.leagueId,
+        seasonId: connection.seasonId,
+        leagueName: connection.leagueName || null,
+        isPrivate: !!(connection.espnS2 && connection.swid),
+        connectedAt: new Date(connection.connectedAt).toISOString(),
+        lastSeenAt: new Date(connection.lastSeenAt).toISOString()
+    };
+}
+
+// Every active connection, newest first, with the caller's own marked isCurrent
+function listConnections(currentId) {
+    pruneExpired();
+    return Array.from(connections.values())
+        .sort((a, b) => b.connectedAt - a.connectedAt)
+        .map(connection => ({
+            ...describeConnection(connection),
+            isCurrent: connection.id === currentId
+        }));
+}
+
+function countConnections() {
+    pruneExpired();
+    return connections.size;
+}
+
+// Express middleware: resolves the caller's league config onto req.leagueConfig
+function attachConnection(req, res, next) {
+    req.connectionId = getConnectionId(req);
+    req.leagueConfig = getConnection(req.connectionId);
+    next();
+}
+
+module.exports = {
+    CONNECTION_COOKIE,
+    getConnectionId,
+    getConnection,
+    saveConnection,
+    removeConnection,
+    describeConnection,
+    listConnections,
+    countConnections,
+    attachConnection
+};
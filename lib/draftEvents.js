@@ -0,0 +1,102 @@
+// Server-Sent Events channel per draft session, so every screen watching a
+// draft (TV board, commissioner's phone, laptops) stays in sync.
+const HEARTBEAT_MS = 25000;
+
+const EVENT_TYPES = [
+    'pick-made',
+    'pick-undone',
+    'pick-edited',
+    'timer-paused',
+    'timer-resumed',
+    'on-the-clock',
+    'pick-traded'
+];
+
+// draftId -> Set of open SSE responses
+const subscribers = new Map();
+let nextEventId = 1;
+
+function writeEvent(res, event) {
+    res.write(`id: ${event.id}\n`);
+    res.write(`event: ${event.type}\n`);
+    res.write(`data: ${JSON.stringify(event)}\n\n`);
+}
+
+function subscribe(draftId, req, res) {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    // Tell EventSource how long to wait before reconnecting
+    res.write('retry: 3000\n\n');
+
+    if (!subscribers.has(draftId)) {
+        subscribers.set(draftId, new Set());
+    }
+    subscribers.get(draftId).add(res);
+
+    // Comment lines keep proxies and idle browsers from closing the stream
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        const draftSubscribers = subscribers.get(draftId);
+        if (!draftSubscribers) return;
+
+        draftSubscribers.delete(res);
+        if (draftSubscribers.size === 0) {
+            subscribers.delete(draftId);
+        }
+    });
+}
+
+function buildEvent(draftId, type, payload, source) {
+    if (!EVENT_TYPES.includes(type)) {
+        throw new Error(`Unknown draft event type: ${type}`);
+    }
+
+    return {
+        id: nextEventId++,
+        type,
+        draftId,
+        source,
+        timestamp: new Date().toISOString(),
+        ...payload
+    };
+}
+
+// `source` is the client id that caused the change, so that client can ignore its own echo
+function publish(draftId, type, payload = {}, source = null) {
+    const event = buildEvent(draftId, type, payload, source);
+
+    const draftSubscribers = subscribers.get(draftId);
+    if (draftSubscribers) {
+        draftSubscribers.forEach(res => writeEvent(res, event));
+    }
+
+    return event;
+}
+
+// Send an event to a single subscriber, e.g. to bring a newly opened screen up to date
+function send(res, draftId, type, payload = {}) {
+    const event = buildEvent(draftId, type, payload, null);
+    writeEvent(res, event);
+    return event;
+}
+
+function subscriberCount(draftId) {
+    const draftSubscribers = subscribers.get(draftId);
+    return draftSubscribers ? draftSubscribers.size : 0;
+}
+
+module.exports = {
+    EVENT_TYPES,
+    subscribe,
+    publish,
+    send,
+    subscriberCount
+};
@@ -0,0 +1,668 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+// Draft sessions are persisted as one JSON file per draft so a draft
+// survives a browser crash, a cleared cache or a switch to another laptop.
+const STORAGE_DIR = path.join(__dirname, '..', 'storage', 'drafts');
+const DEFAULT_ROUNDS = 16;
+const DEFAULT_AUCTION_BUDGET = 200;
+const MIN_BID = 1;
+const DRAFT_ID_PATTERN = /^[a-f0-9]{8}$/;
+
+// Audit actions that change the picks or who owns them. Replaying them in order
+// rebuilds the draft from its starting state.
+const AUDIT_ACTIONS = ['draft-created', 'pick-made', 'pick-undone', 'pick-edited', 'pick-traded', 'cursor-moved'];
+
+// Writes are chained per draft so two quick picks can't clobber each other
+const writeQueues = new Map();
+
+function isValidDraftId(draftId) {
+    return typeof draftId === 'string' && DRAFT_ID_PATTERN.test(draftId);
+}
+
+function draftPath(draftId) {
+    return path.join(STORAGE_DIR, `${draftId}.json`);
+}
+
+async function readDraft(draftId) {
+    if (!isValidDraftId(draftId)) return null;
+
+    try {
+        const contents = await fs.readFile(draftPath(draftId), 'utf8');
+        return JSON.parse(contents);
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+async function writeDraft(draft) {
+    await fs.mkdir(STORAGE_DIR, { recursive: true });
+
+    // Write to a temp file first so a crash mid-write never leaves a truncated draft
+    const target = draftPath(draft.id);
+    const tempFile = `${target}.${process.pid}.tmp`;
+    await fs.writeFile(tempFile, JSON.stringify(draft, null, 2));
+    await fs.rename(tempFile, target);
+}
+
+function withDraftLock(draftId, task) {
+    const previous = writeQueues.get(draftId) || Promise.resolve();
+    const next = previous.catch(() => {}).then(task);
+
+    writeQueues.set(draftId, next);
+    next.finally(() => {
+        if (writeQueues.get(draftId) === next) {
+            writeQueues.delete(draftId);
+        }
+    }).catch(() => {});
+
+    return next;
+}
+
+// Apply a change to a stored draft. Resolves to null if the draft doesn't exist.
+function mutateDraft(draftId, mutator) {
+    return withDraftLock(draftId, async () => {
+        const draft = await readDraft(draftId);
+        if (!draft) return null;
+
+        mutator(draft);
+        draft.updatedAt = new Date().toISOString();
+
+        await writeDraft(draft);
+        return draft;
+    });
+}
+
+// Append-only: entries are never changed or removed once written
+function appendAudit(draft, action, actor, details) {
+    if (!AUDIT_ACTIONS.includes(action)) {
+        throw new Error(`Unknown audit action: ${action}`);
+    }
+    if (!Array.isArray(draft.auditLog)) {
+        draft.auditLog = [];
+    }
+
+    const entry = {
+        seq: draft.auditLog.length + 1,
+        action,
+        actor: actor || null,
+        timestamp: new Date().toISOString(),
+        ...details
+    };
+    draft.auditLog.push(entry);
+    return entry;
+}
+
+function copy(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function cursorState(draft) {
+    return {
+        currentPick: draft.currentPick,
+        currentRound: draft.currentRound,
+        draftComplete: draft.draftComplete
+    };
+}
+
+function totalPicks(draft) {
+    return draft.rounds * draft.leagueSetup.size;
+}
+
+// Snake order: odd rounds run first to last, even rounds run back
+function getSnakeTeamIndex(teamCount, overallPick) {
+    const round = Math.ceil(overallPick / teamCount);
+    const pickInRound = ((overallPick - 1) % teamCount) + 1;
+
+    return round % 2 === 0 ? teamCount - pickInRound : pickInRound - 1;
+}
+
+// The pick-ownership table (leagueSetup.pickOwnership) covers custom orders and traded
+// picks. Drafts created before it existed fall back to the snake formula.
+function getPickTeamIndex(draft, overallPick) {
+    const ownership = draft.leagueSetup.pickOwnership;
+    const entry = Array.isArray(ownership) ? ownership[overallPick - 1] : null;
+    if (entry && entry.overallPick === overallPick) {
+        return entry.teamIndex;
+    }
+
+    return getSnakeTeamIndex(draft.leagueSetup.size, overallPick);
+}
+
+function buildSnakeOwnership(draft) {
+    const teamCount = draft.leagueSetup.size;
+    const ownership = [];
+
+    for (let overallPick = 1; overallPick <= totalPicks(draft); overallPick++) {
+        const teamIndex = getSnakeTeamIndex(teamCount, overallPick);
+        ownership.push({
+            overallPick,
+            round: Math.ceil(overallPick / teamCount),
+            pickInRound: ((overallPick - 1) % teamCount) + 1,
+            teamIndex,
+            originalTeamIndex: teamIndex
+        });
+    }
+    return ownership;
+}
+
+function isAuction(draft) {
+    return draft.leagueSetup.draftType === 'auction';
+}
+
+// Budget left for one team in an auction. The max bid keeps $1 back for every other open roster spot.
+function getTeamBudget(draft, teamIndex) {
+    const budget = parseInt(draft.leagueSetup.auctionBudget) || DEFAULT_AUCTION_BUDGET;
+    const teamPicks = draft.draftPicks.filter(pick => pick.teamId === teamIndex);
+    const spent = teamPicks.reduce((sum, pick) => sum + (parseInt(pick.bidAmount) || 0), 0);
+    const openSpots = Math.max(0, draft.rounds - teamPicks.length);
+    const remaining = budget - spent;
+
+    return {
+        budget,
+        spent,
+        remaining,
+        openSpots,
+        maxBid: openSpots > 0 ? Math.max(0, remaining - (openSpots - 1) * MIN_BID) : 0
+    };
+}
+
+// Nominations rotate through the teams in draft order, skipping teams with full rosters
+function getNominatingTeamIndex(draft, overallPick) {
+    const teamCount = draft.leagueSetup.size;
+    const start = (overallPick - 1) % teamCount;
+
+    for (let offset = 0; offset < teamCount; offset++) {
+        const teamIndex = (start + offset) % teamCount;
+        if (getTeamBudget(draft, teamIndex).openSpots > 0) {
+            return teamIndex;
+        }
+    }
+    return start;
+}
+
+// Who is on the clock right now (nominating, in an auction), or null once the draft is complete
+function getOnTheClock(draft) {
+    if (draft.draftComplete) return null;
+
+    const auction = isAuction(draft);
+    const teamIndex = auction ?
+        getNominatingTeamIndex(draft, draft.currentPick) :
+        getPickTeamIndex(draft, draft.currentPick);
+    const team = draft.leagueSetup.teams[teamIndex];
+
+    return {
+        overallPick: draft.currentPick,
+        round: draft.currentRound,
+        teamIndex,
+        teamName: team ? team.name : `Team ${teamIndex + 1}`,
+        nominating: auction
+    };
+}
+
+// Auction picks must name the winning team and a bid that team can afford
+function validateAuctionPick(draft, pick) {
+    const teamIndex = parseInt(pick.teamId);
+    if (!Number.isInteger(teamIndex) || teamIndex < 0 || teamIndex >= draft.leagueSetup.size) {
+        return 'Auction picks need the winning team';
+    }
+
+    const bidAmount = parseInt(pick.bidAmount);
+    if (!Number.isInteger(bidAmount) || bidAmount < MIN_BID) {
+        return `Winning bid must be at least $${MIN_BID}`;
+    }
+
+    const team = draft.leagueSetup.teams[teamIndex];
+    const teamName = team ? team.name : `Team ${teamIndex + 1}`;
+    const teamBudget = getTeamBudget(draft, teamIndex);
+    if (teamBudget.openSpots === 0) {
+        return `${teamName} has a full roster`;
+    }
+    if (bidAmount > teamBudget.maxBid) {
+        return `${teamName} can bid at most $${teamBudget.maxBid}`;
+    }
+
+    return null;
+}
+
+// An edited winning bid (or a won player moved to another team) has to fit the
+// budget of the team that ends up with the player, as if the pick were new
+function validateBidEdit(draft, pick, teamIndex, bidAmount) {
+    const bid = Number(bidAmount);
+    if (!Number.isInteger(bid) || bid < MIN_BID) {
+        return `Winning bid must be a whole number of at least $${MIN_BID}`;
+    }
+
+    const team = draft.leagueSetup.teams[teamIndex];
+    const teamName = team ? team.name : `Team ${teamIndex + 1}`;
+    const teamBudget = getTeamBudget({ ...draft, draftPicks: draft.draftPicks.filter(existing => existing !== pick) }, teamIndex);
+    if (teamBudget.openSpots === 0) {
+        return `${teamName} has a full roster`;
+    }
+    if (bid > teamBudget.maxBid) {
+        return `${teamName} can bid at most $${teamBudget.maxBid}`;
+    }
+    return null;
+}
+
+// Move the cursor to the first unfilled pick after `overallPick`
+function advanceCursor(draft, overallPick) {
+    const filled = new Set(draft.draftPicks.map(pick => pick.overallPick));
+
+    let nextPick = overallPick + 1;
+    while (filled.has(nextPick)) {
+        nextPick++;
+    }
+
+    setCursor(draft, nextPick);
+}
+
+// Round and completion always follow from the pick; one past the last pick means complete
+function setCursor(draft, currentPick) {
+    draft.currentPick = currentPick;
+    draft.currentRound = Math.ceil(currentPick / draft.leagueSetup.size);
+    draft.draftComplete = currentPick > totalPicks(draft);
+
+    if (draft.draftComplete) {
+        draft.currentRound = draft.rounds;
+    }
+}
+
+// Keepers are placed before pick 1 at the pick their team forfeits
+function placeKeepers(draft, keepers) {
+    const now = new Date().toISOString();
+
+    (keepers || []).forEach(keeper => {
+        const overallPick = parseInt(keeper.overallPick);
+        if (!overallPick || overallPick > totalPicks(draft)) return;
+        if (draft.draftPicks.some(pick => pick.overallPick === overallPick)) return;
+        if (keeper.playerId && draft.draftPicks.some(pick => pick.playerId === keeper.playerId)) return;
+
+        draft.draftPicks.push({
+            ...keeper,
+            overallPick,
+            round: Math.ceil(overallPick / draft.leagueSetup.size),
+            isKeeper: true,
+            timestamp: keeper.timestamp || now
+        });
+    });
+
+    draft.draftPicks.sort((a, b) => a.overallPick - b.overallPick);
+    advanceCursor(draft, 0);
+}
+
+async function createDraft({ leagueId, seasonId, leagueSetup, rounds, keepers }, actor) {
+    if (!leagueSetup || !leagueSetup.size || !Array.isArray(leagueSetup.teams)) {
+        throw new Error('leagueSetup with size and teams is required');
+    }
+
+    const now = new Date().toISOString();
+    const draft = {
+        id: crypto.randomBytes(4).toString('hex'),
+        leagueId: leagueId || null,
+        seasonId: seasonId || null,
+        leagueSetup,
+        rounds: parseInt(rounds) || DEFAULT_ROUNDS,
+        draftPicks: [],
+        currentPick: 1,
+        currentRound: 1,
+        draftComplete: false,
+        timer: {
+            seconds: 120,
+            paused: false
+        },
+        auditLog: [],
+        createdAt: now,
+        updatedAt: now
+    };
+    placeKeepers(draft, keepers);
+
+    // The starting point for replays: keepers, pick ownership and the opening cursor
+    appendAudit(draft, 'draft-created', actor, {
+        after: {
+            draftPicks: copy(draft.draftPicks),
+            pickOwnership: copy(draft.leagueSetup.pickOwnership),
+            ...cursorState(draft)
+        }
+    });
+
+    await writeDraft(draft);
+    return draft;
+}
+
+async function getDraft(draftId) {
+    return readDraft(draftId);
+}
+
+async function listDrafts() {
+    let files;
+    try {
+        files = await fs.readdir(STORAGE_DIR);
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    const drafts = await Promise.all(
+        files
+            .filter(file => file.endsWith('.json'))
+            .map(file => readDraft(path.basename(file, '.json')).catch(() => null))
+    );
+
+    return drafts
+        .filter(draft => draft)
+        .map(draft => ({
+            id: draft.id,
+            leagueId: draft.leagueId,
+            seasonId: draft.seasonId,
+            teams: draft.leagueSetup.size,
+            picksMade: draft.draftPicks.length,
+            currentPick: draft.currentPick,
+            draftComplete: draft.draftComplete,
+            updatedAt: draft.updatedAt
+        }))
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+async function addPick(draftId, pick, actor) {
+    let conflict = null;
+
+    const draft = await mutateDraft(draftId, draft => {
+        if (draft.draftComplete) {
+            conflict = 'Draft is already complete';
+            return;
+        }
+        if (draft.draftPicks.some(existing => existing.playerId === pick.playerId)) {
+            conflict = `${pick.playerName || pick.playerId} has already been drafted`;
+            return;
+        }
+
+        const overallPick = parseInt(pick.overallPick) || draft.currentPick;
+        if (draft.draftPicks.some(existing => existing.overallPick === overallPick)) {
+            conflict = `Pick ${overallPick} has already been made`;
+            return;
+        }
+
+        if (isAuction(draft)) {
+            conflict = validateAuctionPick(draft, pick);
+            if (conflict) return;
+        }
+
+        draft.draftPicks.push({
+            ...pick,
+            overallPick,
+            round: Math.ceil(overallPick / draft.leagueSetup.size),
+            ...(isAuction(draft) && {
+                teamId: parseInt(pick.teamId),
+                bidAmount: parseInt(pick.bidAmount)
+            }),
+            timestamp: pick.timestamp || new Date().toISOString()
+        });
+        advanceCursor(draft, overallPick);
+
+        appendAudit(draft, 'pick-made', actor, {
+            overallPick,
+            before: null,
+            after: copy(draft.draftPicks[draft.draftPicks.length - 1])
+        });
+    });
+
+    return { draft, conflict };
+}
+
+async function removeLastPick(draftId, actor) {
+    let removedPick = null;
+
+    const draft = await mutateDraft(draftId, draft => {
+        // Keepers are part of the setup, so undo never removes them
+        let lastIndex = draft.draftPicks.length - 1;
+        while (lastIndex >= 0 && draft.draftPicks[lastIndex].isKeeper) {
+            lastIndex--;
+        }
+        if (lastIndex < 0) return;
+
+        removedPick = draft.draftPicks.splice(lastIndex, 1)[0];
+
+        draft.currentPick = removedPick.overallPick;
+        draft.currentRound = removedPick.round;
+        draft.draftComplete = false;
+
+        appendAudit(draft, 'pick-undone', actor, {
+            overallPick: removedPick.overallPick,
+            before: copy(removedPick),
+            after: null
+        });
+    });
+
+    return { draft, removedPick };
+}
+
+// Hand an unmade pick to another team. `previousTeamIndex` is who owned it before.
+async function tradePick(draftId, overallPick, teamIndex, actor) {
+    let conflict = null;
+    let previousTeamIndex = null;
+
+    const draft = await mutateDraft(draftId, draft => {
+        if (!Number.isInteger(overallPick) || overallPick < 1 || overallPick > totalPicks(draft)) {
+            conflict = `Pick ${overallPick} is not part of this draft`;
+            return;
+        }
+        if (!Number.isInteger(teamIndex) || teamIndex < 0 || teamIndex >= draft.leagueSetup.size) {
+            conflict = 'Unknown team';
+            return;
+        }
+        if (draft.draftPicks.some(pick => pick.overallPick === overallPick)) {
+            conflict = `Pick ${overallPick} has already been made`;
+            return;
+        }
+
+        if (!Array.isArray(draft.leagueSetup.pickOwnership)) {
+            draft.leagueSetup.pickOwnership = buildSnakeOwnership(draft);
+        }
+
+        const entry = draft.leagueSetup.pickOwnership[overallPick - 1];
+        previousTeamIndex = entry.teamIndex;
+        entry.teamIndex = teamIndex;
+
+        appendAudit(draft, 'pick-traded', actor, {
+            overallPick,
+            before: { teamIndex: previousTeamIndex },
+            after: { teamIndex }
+        });
+    });
+
+    return { draft, conflict, previousTeamIndex };
+}
+
+// Fix a made pick: swap the player, hand it to another team, or correct an auction price
+async function editPick(draftId, overallPick, changes, actor) {
+    let conflict = null;
+    let before = null;
+
+    const draft = await mutateDraft(draftId, draft => {
+        const pick = draft.draftPicks.find(existing => existing.overallPick === overallPick);
+        if (!pick) {
+            conflict = `Pick ${overallPick} hasn't been made`;
+            return;
+        }
+
+        if (changes.playerId !== undefined && changes.playerId !== pick.playerId &&
+            draft.draftPicks.some(existing => existing.playerId === changes.playerId)) {
+            conflict = `${changes.playerName || changes.playerId} has already been drafted`;
+            return;
+        }
+
+        let teamIndex = null;
+        if (changes.teamId !== undefined) {
+            teamIndex = parseInt(changes.teamId);
+            if (!Number.isInteger(teamIndex) || teamIndex < 0 || teamIndex >= draft.leagueSetup.size) {
+                conflict = 'Unknown team';
+                return;
+            }
+        }
+
+        if (isAuction(draft) && (changes.bidAmount !== undefined || teamIndex !== null)) {
+            conflict = validateBidEdit(draft, pick, teamIndex !== null ? teamIndex : pick.teamId,
+                changes.bidAmount !== undefined ? changes.bidAmount : pick.bidAmount);
+            if (conflict) return;
+        }
+
+        before = copy(pick);
+        ['playerId', 'playerName', 'position', 'team'].forEach(field => {
+            if (changes[field] !== undefined) pick[field] = changes[field];
+        });
+        if (teamIndex !== null && teamIndex !== pick.teamId) {
+            pick.teamId = teamIndex;
+            pick.teamName = draft.leagueSetup.teams[teamIndex].name;
+
+            // In a snake draft the pick itself changes hands too
+            if (Array.isArray(draft.leagueSetup.pickOwnership) && draft.leagueSetup.pickOwnership[overallPick - 1]) {
+                draft.leagueSetup.pickOwnership[overallPick - 1].teamIndex = teamIndex;
+            }
+        }
+        if (changes.bidAmount !== undefined && isAuction(draft)) {
+            pick.bidAmount = Number(changes.bidAmount);
+        }
+        pick.editedAt = new Date().toISOString();
+
+        appendAudit(draft, 'pick-edited', actor, {
+            overallPick,
+            before,
+            after: copy(pick)
+        });
+    });
+
+    return { draft, conflict, before };
+}
+
+// Cursor and timer state that the client owns (manual "Next Pick", pause/resume).
+// `previous` holds the cursor and timer as they were before the update.
+// The client only moves the pick - currentRound and draftComplete are derived from it
+async function updateDraftState(draftId, updates, actor) {
+    let previous = null;
+    let error = null;
+
+    const draft = await mutateDraft(draftId, draft => {
+        previous = {
+            currentPick: draft.currentPick,
+            draftComplete: draft.draftComplete,
+            timer: { ...draft.timer }
+        };
+
+        if (updates.currentPick !== undefined) {
+            const currentPick = Number(updates.currentPick);
+            const lastCursor = totalPicks(draft) + 1;
+            if (!Number.isInteger(currentPick) || currentPick < 1 || currentPick > lastCursor) {
+                error = `currentPick must be between 1 and ${lastCursor} (${lastCursor} marks the draft complete)`;
+                return;
+            }
+            setCursor(draft, currentPick);
+        }
+        if (updates.timer) {
+            draft.timer = {
+                seconds: Number.isFinite(updates.timer.seconds) ? updates.timer.seconds : draft.timer.seconds,
+                paused: typeof updates.timer.paused === 'boolean' ? updates.timer.paused : draft.timer.paused
+            };
+        }
+
+        // Timer ticks aren't audited, but skipping a pick is
+        if (draft.currentPick !== previous.currentPick || draft.draftComplete !== previous.draftComplete) {
+            appendAudit(draft, 'cursor-moved', actor, {
+                before: {
+                    currentPick: previous.currentPick,
+                    currentRound: Math.ceil(previous.currentPick / draft.leagueSetup.size),
+                    draftComplete: previous.draftComplete
+                },
+                after: cursorState(draft)
+            });
+        }
+    });
+
+    return { draft, previous, error };
+}
+
+// Rebuild picks, ownership and cursor from the audit log alone. `throughSeq`
+// stops the replay early to show the draft as it was at that point.
+function replayAuditLog(draft, throughSeq = Infinity) {
+    const state = {
+        leagueSetup: {
+            ...draft.leagueSetup,
+            pickOwnership: undefined
+        },
+        rounds: draft.rounds,
+        draftPicks: [],
+        currentPick: 1,
+        currentRound: 1,
+        draftComplete: false
+    };
+
+    (draft.auditLog || [])
+        .filter(entry => entry.seq <= throughSeq)
+        .forEach(entry => {
+            switch (entry.action) {
+                case 'draft-created':
+                    state.draftPicks = copy(entry.after.draftPicks) || [];
+                    state.leagueSetup.pickOwnership = copy(entry.after.pickOwnership);
+                    Object.assign(state, {
+                        currentPick: entry.after.currentPick,
+                        currentRound: entry.after.currentRound,
+                        draftComplete: entry.after.draftComplete
+                    });
+                    break;
+                case 'pick-made':
+                    state.draftPicks.push(copy(entry.after));
+                    advanceCursor(state, entry.overallPick);
+                    break;
+                case 'pick-undone':
+                    state.draftPicks = state.draftPicks.filter(pick => pick.overallPick !== entry.overallPick);
+                    state.currentPick = entry.before.overallPick;
+                    state.currentRound = entry.before.round;
+                    state.draftComplete = false;
+                    break;
+                case 'pick-edited':
+                    state.draftPicks = state.draftPicks.map(pick =>
+                        pick.overallPick === entry.overallPick ? copy(entry.after) : pick
+                    );
+                    if (entry.before.teamId !== entry.after.teamId &&
+                        state.leagueSetup.pickOwnership && state.leagueSetup.pickOwnership[entry.overallPick - 1]) {
+                        state.leagueSetup.pickOwnership[entry.overallPick - 1].teamIndex = entry.after.teamId;
+                    }
+                    break;
+                case 'pick-traded':
+                    if (!state.leagueSetup.pickOwnership) {
+                        state.leagueSetup.pickOwnership = buildSnakeOwnership(state);
+                    }
+                    state.leagueSetup.pickOwnership[entry.overallPick - 1].teamIndex = entry.after.teamIndex;
+                    break;
+                case 'cursor-moved':
+                    Object.assign(state, entry.after);
+                    break;
+            }
+        });
+
+    return {
+        draftPicks: state.draftPicks,
+        pickOwnership: state.leagueSetup.pickOwnership || null,
+        currentPick: state.currentPick,
+        currentRound: state.currentRound,
+        draftComplete: state.draftComplete
+    };
+}
+
+module.exports = {
+    isValidDraftId,
+    getPickTeamIndex,
+    getTeamBudget,
+    getOnTheClock,
+    createDraft,
+    getDraft,
+    listDrafts,
+    addPick,
+    removeLastPick,
+    tradePick,
+    editPick,
+    updateDraftState,
+    replayAuditLog
+};
@@ -0,0 +1,212 @@
+const axios = require('axios');
+const espnFixtures = require('./espnFixtures');
+
+// The one place the server talks to ESPN's fantasy API: auth cookies, the
+// X-Fantasy-Filter header, view names, retries, request coalescing and a cap
+// on concurrent calls. Set ESPN_BASE_URL to point it at the fixture stand-in
+// (lib/espnFixtures.js), and ESPN_RECORD_DIR to record ESPN's answers as fixtures.
+const DEFAULT_BASE_URL = 'https://lm-api-reads.fantasy.espn.com/apis/v3/games/ffl';
+const BASE_URL = (process.env.ESPN_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+const RECORD_DIR = process.env.ESPN_RECORD_DIR || null;
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36';
+const DEFAULT_TIMEOUT_MS = 20000;
+const MAX_RETRIES = 3;
+const RETRY_BASE_DELAY_MS = 500;
+const MAX_RETRY_DELAY_MS = 10000;
+const MAX_CONCURRENT_REQUESTS = 4;
+
+// ESPN views the server uses. Unknown names are rejected so a typo fails loudly
+// instead of quietly returning a league without the data we asked for.
+const VIEWS = {
+    SETTINGS: 'mSettings',
+    TEAM: 'mTeam',
+    ROSTER: 'mRoster',
+    DRAFT_DETAIL: 'mDraftDetail',
+    MATCHUP: 'mMatchup',
+    PLAYER_INFO: 'kona_player_info',
+    PROJECTIONS: 'mProjections',
+    STATS: 'mStats',
+    PLAYERS: 'players_wl',
+    PRO_TEAM_SCHEDULES: 'proTeamSchedules_wl'
+};
+const KNOWN_VIEWS = new Set(Object.values(VIEWS));
+
+// Identical requests already on the wire share one response
+const inFlight = new Map();
+const queue = [];
+let activeRequests = 0;
+
+function composeViews(views) {
+    const list = Array.isArray(views) ? views : [views];
+    list.forEach(view => {
+        if (!KNOWN_VIEWS.has(view)) {
+            throw new Error(`Unknown ESPN view "${view}"`);
+        }
+    });
+    return list.join(',');
+}
+
+// Player filter for X-Fantasy-Filter. Sorted by ownership unless a sort is given;
+// anything ESPN supports beyond these options can be passed through in extra.
+function playerFilter({ limit, offset, ids, slotIds, sort, extra } = {}) {
+    const players = {
+        ...(limit !== undefined && { limit }),
+        ...(offset !== undefined && { offset }),
+        ...(ids && { filterIds: { value: ids } }),
+        ...(slotIds && { filterSlotIds: { value: slotIds } }),
+        ...(sort || { sortPercOwned: { sortPriority: 1, sortAsc: false } }),
+        ...extra
+    };
+    return { players };
+}
+
+function buildHeaders(config, filter) {
+    const headers = {
+        'Accept': 'application/json',
+        'User-Agent': USER_AGENT
+    };
+
+    // Private leagues need the owner's cookies
+    if (config && config.espnS2 && config.swid) {
+        headers['Cookie'] = `espn_s2=${config.espnS2}; SWID=${config.swid}`;
+    }
+    if (filter) {
+        headers['X-Fantasy-Filter'] = JSON.stringify(filter);
+    }
+    return headers;
+}
+
+function leaguePath(seasonId, leagueId) {
+    return `/seasons/${seasonId}/segments/0/leagues/${leagueId}`;
+}
+
+function acquireSlot() {
+    if (activeRequests < MAX_CONCURRENT_REQUESTS) {
+        activeRequests++;
+        return Promise.resolve();
+    }
+    return new Promise(resolve => queue.push(resolve));
+}
+
+function releaseSlot() {
+    const next = queue.shift();
+    if (next) {
+        next();
+    } else {
+        activeRequests--;
+    }
+}
+
+function isRetryable(error) {
+    const status = error.response && error.response.status;
+    return status === 429 || status >= 500;
+}
+
+// Exponential backoff with jitter; a Retry-After header from ESPN wins
+function retryDelay(error, attempt) {
+    const retryAfter = Number(error.response && error.response.headers && error.response.headers['retry-after']);
+    if (retryAfter > 0) {
+        return Math.min(retryAfter * 1000, MAX_RETRY_DELAY_MS);
+    }
+    const delay = RETRY_BASE_DELAY_MS * 2 ** attempt;
+    return Math.min(delay + Math.random() * delay / 2, MAX_RETRY_DELAY_MS);
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// The concurrency slot covers only the request itself - a call waiting out a
+// backoff gives it up so other ESPN requests aren't stuck behind the sleep.
+async function send(url, options) {
+    for (let attempt = 0; ; attempt++) {
+        await acquireSlot();
+        let failure;
+        try {
+            const response = await axios.get(url, options);
+            return response.data;
+        } catch (error) {
+            failure = error;
+        } finally {
+            releaseSlot();
+        }
+
+        if (attempt >= MAX_RETRIES || !isRetryable(failure)) {
+            console.error(`ESPN request failed: ${url} (${failure.response ? failure.response.status : failure.message})`);
+            throw failure;
+        }
+
+        const delay = retryDelay(failure, attempt);
+        console.warn(`ESPN answered ${failure.response.status} for ${url} - retry ${attempt + 1}/${MAX_RETRIES} in ${Math.round(delay)}ms`);
+        await sleep(delay);
+    }
+}
+
+// GET an ESPN path. Resolves to the response body; rejects with the axios error
+// (error.response.status is set when ESPN answered) after retries run out.
+function request(path, { config, views, params = {}, filter, timeout = DEFAULT_TIMEOUT_MS } = {}) {
+    const url = `${BASE_URL}${path}`;
+    const query = views ? { ...params, view: composeViews(views) } : params;
+    const headers = buildHeaders(config, filter);
+
+    const key = JSON.stringify([url, query, headers]);
+    if (inFlight.has(key)) {
+        return inFlight.get(key);
+    }
+
+    let pending = send(url, { headers, params: query, timeout });
+    if (RECORD_DIR && views) {
+        pending = pending.then(async data => {
+            try {
+                await espnFixtures.recordResponse(RECORD_DIR, path, query.view.split(','), data);
+            } catch (error) {
+                console.warn(`Could not record ESPN fixture for ${path}: ${error.message}`);
+            }
+            return data;
+        });
+    }
+    inFlight.set(key, pending);
+    pending.finally(() => inFlight.delete(key)).catch(() => {});
+    return pending;
+}
+
+// A league document with the given views (mSettings, mTeam, mRoster, ...)
+function getLeague(config, seasonId, views, options = {}) {
+    return request(leaguePath(seasonId, config.leagueId), { ...options, config, views });
+}
+
+// kona_player_info for a league: players with league-specific status and projections
+function getLeaguePlayers(config, seasonId, filter, options = {}) {
+    return request(leaguePath(seasonId, config.leagueId), {
+        ...options,
+        config,
+        views: VIEWS.PLAYER_INFO,
+        filter,
+        params: { scoringPeriodId: 0, ...options.params }
+    });
+}
+
+// The public season-wide player list (no league or cookies needed)
+function getSeasonPlayers(seasonId, filter, options = {}) {
+    return request(`/seasons/${seasonId}/players`, {
+        ...options,
+        views: VIEWS.PLAYERS,
+        filter
+    });
+}
+
+function getProTeamSchedules(seasonId, options = {}) {
+    return request(`/seasons/${seasonId}`, { ...options, views: VIEWS.PRO_TEAM_SCHEDULES });
+}
+
+module.exports = {
+    BASE_URL,
+    VIEWS,
+    playerFilter,
+    leaguePath,
+    request,
+    getLeague,
+    getLeaguePlayers,
+    getSeasonPlayers,
+    getProTeamSchedules
+};
@@ -0,0 +1,153 @@
+const fs = require('fs').promises;
+const path = require('path');
+const express = require('express');
+
+// Recorded ESPN responses and a stand-in server that replays them, so the ESPN
+// client (and every route on top of it) can run without ESPN:
+//   node lib/espnFixtures.js            (or npm run espn-stand-in)
+//   ESPN_BASE_URL=http://localhost:3100 node server.js
+// Fixtures live in data/espn-fixtures/<scope>/<view>.json, one per view. Set
+// ESPN_RECORD_DIR while talking to the real ESPN to record fresh ones.
+const FIXTURE_DIR = path.join(__dirname, '..', 'data', 'espn-fixtures');
+const DEFAULT_PORT = 3100;
+
+// The three kinds of ESPN path the client requests. League and season ids are
+// ignored - the stand-in serves the same fixtures for any of them.
+function fixtureScope(urlPath) {
+    if (/^\/seasons\/\d+\/segments\/\d+\/leagues\/\d+\/?$/.test(urlPath)) return 'league';
+    if (/^\/seasons\/\d+\/players\/?$/.test(urlPath)) return 'players';
+    if (/^\/seasons\/\d+\/?$/.test(urlPath)) return 'season';
+    return null;
+}
+
+function fixturePath(dir, scope, views) {
+    return path.join(dir, scope, `${views.join('+')}.json`);
+}
+
+async function readFixture(file) {
+    try {
+        return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+// Saves one response the client got from ESPN. Requests for several views are
+// recorded as they came back (mTeam+mRoster.json); the stand-in prefers those.
+async function recordResponse(dir, urlPath, views, data) {
+    const scope = fixtureScope(urlPath);
+    if (!scope || views.length === 0) return;
+
+    const file = fixturePath(dir, scope, views);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, JSON.stringify(data, null, 2) + '\n');
+}
+
+// ESPN answers a multi-view request with one document holding every view's fields.
+// Lists of objects with ids (teams, players) are merged entry by entry.
+function mergeViews(base, addition) {
+    if (Array.isArray(base) && Array.isArray(addition)) {
+        if (!addition.every(item => item && item.id !== undefined)) return addition;
+
+        const merged = base.slice();
+        addition.forEach(item => {
+            const index = merged.findIndex(existing => existing && existing.id === item.id);
+            if (index === -1) {
+                merged.push(item);
+            } else {
+                merged[index] = mergeViews(merged[index], item);
+            }
+        });
+        return merged;
+    }
+
+    if (base && addition && typeof base === 'object' && typeof addition === 'object' &&
+        !Array.isArray(base) && !Array.isArray(addition)) {
+        const merged = { ...base };
+        Object.entries(addition).forEach(([key, value]) => {
+            merged[key] = key in base ? mergeViews(base[key], value) : value;
+        });
+        return merged;
+    }
+
+    return addition;
+}
+
+// Resolves to the response for the views, or null when a view has no fixture
+async function loadResponse(dir, scope, views) {
+    const recorded = await readFixture(fixturePath(dir, scope, views));
+    if (recorded) return recorded;
+
+    let response;
+    for (const view of views) {
+        const fixture = await readFixture(fixturePath(dir, scope, [view]));
+        if (!fixture) return null;
+        response = response === undefined ? fixture : mergeViews(response, fixture);
+    }
+    return response;
+}
+
+// The parts of X-Fantasy-Filter the server relies on: filterIds, offset and limit
+function applyPlayerFilter(players, filterHeader) {
+    let filter;
+    try {
+        filter = filterHeader ? JSON.parse(filterHeader).players : null;
+    } catch (error) {
+        filter = null;
+    }
+    if (!filter) return players;
+
+    let result = players;
+    const ids = filter.filterIds && filter.filterIds.value;
+    if (Array.isArray(ids)) {
+        result = result.filter(entry => ids.includes(entry.id));
+    }
+    const offset = filter.offset || 0;
+    return result.slice(offset, filter.limit === undefined ? undefined : offset + filter.limit);
+}
+
+function createStandInApp(dir = FIXTURE_DIR) {
+    const app = express();
+
+    app.get(/^\/seasons\//, async (req, res) => {
+        try {
+            const scope = fixtureScope(req.path);
+            const views = String(req.query.view || '').split(',').filter(Boolean);
+            const response = scope && views.length ? await loadResponse(dir, scope, views) : null;
+            if (!response) {
+                return res.status(404).json({ messages: [`No fixture for ${req.path} with view ${views.join(',') || '(none)'}`] });
+            }
+
+            const filterHeader = req.get('x-fantasy-filter');
+            if (Array.isArray(response)) {
+                return res.json(applyPlayerFilter(response, filterHeader));
+            }
+            if (Array.isArray(response.players)) {
+                return res.json({ ...response, players: applyPlayerFilter(response.players, filterHeader) });
+            }
+            res.json(response);
+        } catch (error) {
+            console.error(`Stand-in failed for ${req.originalUrl}:`, error.message);
+            res.status(500).json({ messages: [error.message] });
+        }
+    });
+
+    return app;
+}
+
+if (require.main === module) {
+    const port = parseInt(process.env.PORT) || DEFAULT_PORT;
+    createStandInApp(process.env.ESPN_FIXTURE_DIR || FIXTURE_DIR).listen(port, () => {
+        console.log(`ESPN stand-in serving fixtures on http://localhost:${port} - start the server with ESPN_BASE_URL=http://localhost:${port}`);
+    });
+}
+
+module.exports = {
+    FIXTURE_DIR,
+    fixtureScope,
+    recordResponse,
+    mergeViews,
+    loadResponse,
+    createStandInApp
+};
@@ -0,0 +1,72 @@
+// Tracks player injury statuses per league and season and keeps a log of changes,
+// so a client can ask "what changed since I last looked?" during a long draft.
+// Only feed it live ESPN data - a cached snapshot would log stale statuses as changes.
+
+const MAX_CHANGES = 500;
+const HEALTHY_STATUS = 'ACTIVE';
+
+// "<leagueId>-<seasonId>" -> { statuses: Map(playerId -> status), changes: [] }
+const seasons = new Map();
+
+function getSeason(leagueId, seasonId) {
+    const key = `${leagueId}-${seasonId}`;
+    if (!seasons.has(key)) {
+        seasons.set(key, { statuses: new Map(), changes: [] });
+    }
+    return seasons.get(key);
+}
+
+function normalizeStatus(status) {
+    return typeof status === 'string' && status ? status.toUpperCase() : HEALTHY_STATUS;
+}
+
+// players: [{ id, name, team, position, injuryStatus }]. The first fetch for a league
+// and season only sets the baseline; later fetches log every status that moved.
+function recordStatuses(leagueId, seasonId, players) {
+    const season = getSeason(leagueId, seasonId);
+    const isBaseline = season.statuses.size === 0;
+    const checkedAt = new Date().toISOString();
+    const changes = [];
+
+    players.forEach(player => {
+        if (!player || !player.id) return;
+
+        const status = normalizeStatus(player.injuryStatus);
+        const previousStatus = season.statuses.get(player.id);
+        season.statuses.set(player.id, status);
+
+        if (!isBaseline && previousStatus !== undefined && previousStatus !== status) {
+            changes.push({
+                playerId: player.id,
+                name: player.name,
+                team: player.team,
+                position: player.position,
+                previousStatus,
+                injuryStatus: status,
+                changedAt: checkedAt
+            });
+        }
+    });
+
+    season.changes.push(...changes);
+    if (season.changes.length > MAX_CHANGES) {
+        season.changes.splice(0, season.changes.length - MAX_CHANGES);
+    }
+
+    return { checkedAt, changes };
+}
+
+function getChangesSince(leagueId, seasonId, since) {
+    const changes = getSeason(leagueId, seasonId).changes;
+    if (!since) return changes.slice();
+
+    const sinceTime = Date.parse(since);
+    if (Number.isNaN(sinceTime)) return changes.slice();
+    return changes.filter(change => Date.parse(change.changedAt) > sinceTime);
+}
+
+module.exports = {
+    HEALTHY_STATUS,
+    recordStatuses,
+    getChangesSince
+};
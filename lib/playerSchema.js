@@ -0,0 +1,246 @@
+const { DEFAULT_ROSTER_SETTINGS } = require('./rosterSettings');
+
+// The player object served by GET /api/players/:seasonId. Every player is checked
+// against this before it's cached or served, and GET /api/players/schema returns
+// it so clients (and anyone scripting against the server) know what to expect.
+const PLAYER_SCHEMA = {
+    id: { type: 'integer', required: true, description: 'ESPN player id' },
+    name: { type: 'string', required: true, description: 'Full name' },
+    team: { type: 'string', required: true, description: 'NFL team abbreviation (FA for free agents)' },
+    proTeamId: { type: 'integer', nullable: true, description: 'ESPN pro team id' },
+    byeWeek: { type: 'integer', nullable: true, description: 'NFL bye week' },
+    position: { type: 'string', required: true, description: 'QB, RB, WR, TE, K or D/ST' },
+    positionId: { type: 'integer', required: true, description: 'ESPN defaultPositionId' },
+    projectedPoints: { type: 'number', required: true, description: 'Season projection under the league scoring (ESPN\'s when the league has no rules)' },
+    espnProjectedPoints: { type: 'number', description: 'ESPN\'s own season projection' },
+    leagueProjectedPoints: { type: 'number', nullable: true, description: 'Projection rescored with the league scoring, null when it could not be rescored' },
+    projectionSource: { type: 'string', description: 'league-scoring or espn' },
+    ownership: { type: 'number', description: 'Percent of ESPN leagues rostering the player' },
+    adp: { type: 'number', required: true, description: 'ESPN average draft position (999 when unknown)' },
+    percentStarted: { type: 'number', description: 'Percent of ESPN leagues starting the player' },
+    eligiblePositions: { type: 'array', description: 'Lineup positions the player can fill' },
+    availabilityStatus: { type: 'string', description: 'ESPN availability in the league (FREEAGENT, ONTEAM, ...)' },
+    isDroppable: { type: 'boolean', description: 'Whether ESPN allows dropping the player' },
+    isInjured: { type: 'boolean', description: 'ESPN injured flag' },
+    injuryStatus: { type: 'string', description: 'ACTIVE, QUESTIONABLE, DOUBTFUL, OUT, INJURY_RESERVE or SUSPENSION' },
+    jerseyNumber: { type: 'string', nullable: true, description: 'Jersey number' },
+    adpTier: { type: 'string', description: 'ADP bucket: elite, starter, depth, popular or sleeper' },
+    tier: { type: 'integer', nullable: true, description: 'Projection tier within the position (1 = best), null when untiered' },
+    hasRealADP: { type: 'boolean', description: 'ADP came from ESPN rather than the 999 placeholder' },
+    hasRealProjections: { type: 'boolean', description: 'Projection is above zero' },
+    vor: { type: 'number', computed: true, description: 'Projected points over the replacement-level player at the position' },
+    consensusRank: { type: 'number', nullable: true, computed: true, description: 'Weighted mean rank across imported sources (only once a source is imported), null when no source ranks the player' },
+    consensusAdp: { type: 'number', nullable: true, computed: true, description: 'Weighted mean ADP across imported sources and ESPN' },
+    consensusProjectedPoints: { type: 'number', nullable: true, computed: true, description: 'Weighted mean season projection across imported sources and ESPN' },
+    projectionSources: { type: 'object', computed: true, description: 'Rank, adp and projectedPoints from each imported source, keyed by source id' },
+    dataSource: { type: 'string', description: 'Which ESPN call the player came from' },
+    rawPlayer: { type: 'object', debug: true, description: 'ESPN player object (only with ?debug=true)' },
+    rawPlayerEntry: { type: 'object', debug: true, description: 'ESPN player pool entry (only with ?debug=true)' }
+};
+
+const SORT_FIELDS = {
+    adp: 'asc',
+    projectedPoints: 'desc',
+    ownership: 'desc',
+    vor: 'desc',
+    consensusRank: 'asc',
+    consensusAdp: 'asc',
+    consensusProjectedPoints: 'desc'
+};
+const POSITIONS = ['QB', 'RB', 'WR', 'TE', 'K', 'D/ST'];
+const MAX_LIMIT = 2000;
+const DEFAULT_TEAM_COUNT = 12;
+
+// How the starts in a shared lineup slot tend to split between positions
+const SHARED_SLOT_SHARES = {
+    FLEX: { RB: 0.45, WR: 0.45, TE: 0.1 },
+    'RB/WR': { RB: 0.5, WR: 0.5 },
+    'WR/TE': { WR: 0.8, TE: 0.2 },
+    OP: { QB: 0.9, RB: 0.05, WR: 0.05 }
+};
+
+function matchesType(value, type) {
+    switch (type) {
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        case 'array': return Array.isArray(value);
+        case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+        default: return typeof value === type;
+    }
+}
+
+// Returns an error message, or null when the player matches the schema
+function validatePlayer(player) {
+    if (!player || typeof player !== 'object') return 'Player must be an object';
+
+    for (const [field, spec] of Object.entries(PLAYER_SCHEMA)) {
+        const value = player[field];
+        if (value === undefined) {
+            if (spec.required) return `${field} is required`;
+            continue;
+        }
+        if (value === null) {
+            if (!spec.nullable) return `${field} may not be null`;
+            continue;
+        }
+        if (!matchesType(value, spec.type)) {
+            return `${field} must be ${spec.type === 'integer' ? 'an' : 'a'} ${spec.type}`;
+        }
+    }
+    return null;
+}
+
+// Parses position, limit, offset, fields, sort, order, teams and debug. league holds
+// the connected league's { teamCount, rosterSettings }, which vor uses unless
+// ?teams= overrides the size. Returns { options, error }.
+function parsePlayerQuery(query, league = {}) {
+    const options = {
+        positions: null,
+        limit: null,
+        offset: 0,
+        fields: null,
+        sort: null,
+        order: null,
+        teams: league.teamCount || DEFAULT_TEAM_COUNT,
+        rosterSettings: league.rosterSettings || DEFAULT_ROSTER_SETTINGS,
+        debug: query.debug === 'true' || query.debug === '1'
+    };
+
+    if (query.position) {
+        options.positions = String(query.position).toUpperCase().split(',').map(position => position.trim());
+        const unknown = options.positions.find(position => !POSITIONS.includes(position));
+        if (unknown) {
+            return { options, error: `Unknown position "${unknown}" - use ${POSITIONS.join(', ')}` };
+        }
+    }
+
+    if (query.limit !== undefined) {
+        options.limit = Number(query.limit);
+        if (!Number.isInteger(options.limit) || options.limit < 1 || options.limit > MAX_LIMIT) {
+            return { options, error: `limit must be between 1 and ${MAX_LIMIT}` };
+        }
+    }
+
+    if (query.offset !== undefined) {
+        options.offset = Number(query.offset);
+        if (!Number.isInteger(options.offset) || options.offset < 0) {
+            return { options, error: 'offset must be 0 or more' };
+        }
+    }
+
+    if (query.fields) {
+        options.fields = String(query.fields).split(',').map(field => field.trim()).filter(Boolean);
+        const unknown = options.fields.find(field => !PLAYER_SCHEMA[field]);
+        if (unknown) {
+            return { options, error: `Unknown field "${unknown}" - see /api/players/schema` };
+        }
+        if (!options.debug && options.fields.some(field => PLAYER_SCHEMA[field].debug)) {
+            return { options, error: 'rawPlayer and rawPlayerEntry need debug=true' };
+        }
+    }
+
+    if (query.sort) {
+        if (!SORT_FIELDS[query.sort]) {
+            return { options, error: `sort must be one of ${Object.keys(SORT_FIELDS).join(', ')}` };
+        }
+        options.sort = query.sort;
+    }
+
+    if (query.order) {
+        if (query.order !== 'asc' && query.order !== 'desc') {
+            return { options, error: 'order must be asc or desc' };
+        }
+        options.order = query.order;
+    }
+
+    if (query.teams !== undefined) {
+        options.teams = Number(query.teams);
+        if (!Number.isInteger(options.teams) || options.teams < 2 || options.teams > 32) {
+            return { options, error: 'teams must be between 2 and 32' };
+        }
+    }
+
+    return { options, error: null };
+}
+
+// Replacement level = the best player left once every team has filled its
+// starters at that position (shared slots split by SHARED_SLOT_SHARES)
+function getReplacementLevels(players, teamCount, rosterSettings) {
+    const slots = rosterSettings.slots;
+    const levels = {};
+
+    POSITIONS.forEach(position => {
+        const starters = Object.entries(SHARED_SLOT_SHARES).reduce(
+            (sum, [slot, shares]) => sum + (slots[slot] || 0) * (shares[position] || 0),
+            slots[position] || 0
+        );
+        const ranked = players
+            .filter(player => player.position === position)
+            .map(player => player.projectedPoints)
+            .sort((a, b) => b - a);
+        const replacementRank = Math.round(starters * teamCount);
+        levels[position] = ranked.length ? ranked[Math.min(replacementRank, ranked.length - 1)] : 0;
+    });
+
+    return levels;
+}
+
+function withVor(players, teamCount, rosterSettings) {
+    const levels = getReplacementLevels(players, teamCount, rosterSettings);
+    return players.map(player => ({
+        ...player,
+        vor: Math.round((player.projectedPoints - (levels[player.position] || 0)) * 10) / 10
+    }));
+}
+
+// Filter, sort, paginate and trim a player pool. Returns { players, total }, where
+// total counts the matches before pagination.
+function applyPlayerQuery(players, options) {
+    let result = withVor(players, options.teams, options.rosterSettings);
+
+    if (options.positions) {
+        result = result.filter(player => options.positions.includes(player.position));
+    }
+
+    if (options.sort) {
+        const direction = (options.order || SORT_FIELDS[options.sort]) === 'asc' ? 1 : -1;
+        const field = options.sort;
+        // Players without a value (e.g. unranked by every imported source) go last either way
+        const hasValue = player => player[field] !== null && player[field] !== undefined;
+        result = result.slice().sort((a, b) => {
+            if (!hasValue(a) || !hasValue(b)) return hasValue(b) - hasValue(a);
+            return (a[field] - b[field]) * direction;
+        });
+    }
+
+    const total = result.length;
+    result = result.slice(options.offset, options.limit === null ? undefined : options.offset + options.limit);
+
+    const debugFields = Object.keys(PLAYER_SCHEMA).filter(field => PLAYER_SCHEMA[field].debug);
+    result = result.map(player => {
+        if (options.fields) {
+            // id always comes along so clients can key the rows
+            const picked = { id: player.id };
+            options.fields.forEach(field => {
+                if (player[field] !== undefined) picked[field] = player[field];
+            });
+            return picked;
+        }
+        if (options.debug) return player;
+
+        const trimmed = { ...player };
+        debugFields.forEach(field => delete trimmed[field]);
+        return trimmed;
+    });
+
+    return { players: result, total };
+}
+
+module.exports = {
+    PLAYER_SCHEMA,
+    SORT_FIELDS,
+    MAX_LIMIT,
+    validatePlayer,
+    parsePlayerQuery,
+    applyPlayerQuery
+};
@@ -0,0 +1,152 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+// Every normalized player pool fetched from ESPN is kept as a versioned snapshot,
+// one folder per league and season, so repeat loads skip the 2000-player download
+// and draft night still works when ESPN doesn't answer.
+const STORAGE_DIR = path.join(__dirname, '..', 'storage', 'player-snapshots');
+const CACHE_TTL_MS = 60 * 60 * 1000; // Serve the newest snapshot for an hour before refetching
+const MAX_SNAPSHOTS = 10;
+const SNAPSHOT_ID_PATTERN = /^\d{13}$/;
+const PIN_FILE = 'pin.json';
+
+// Debug copies of ESPN's response are too big to keep on disk
+const UNSNAPSHOTTED_FIELDS = ['rawPlayer', 'rawPlayerEntry'];
+
+function poolDir(leagueId, seasonId) {
+    return path.join(STORAGE_DIR, `${parseInt(leagueId)}-${parseInt(seasonId)}`);
+}
+
+function isValidSnapshotId(snapshotId) {
+    return typeof snapshotId === 'string' && SNAPSHOT_ID_PATTERN.test(snapshotId);
+}
+
+async function readJson(file) {
+    try {
+        return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+async function writeJson(file, contents) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    // Unique per write so two pins at once can't rename each other's temp file
+    const tempFile = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    await fs.writeFile(tempFile, JSON.stringify(contents));
+    await fs.rename(tempFile, file);
+}
+
+// Snapshot ids are the fetch time in ms, so sorting them sorts by age (newest first)
+async function listSnapshotIds(leagueId, seasonId) {
+    let files;
+    try {
+        files = await fs.readdir(poolDir(leagueId, seasonId));
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    return files
+        .filter(file => file.endsWith('.json') && file !== PIN_FILE)
+        .map(file => file.slice(0, -'.json'.length))
+        .filter(isValidSnapshotId)
+        .sort((a, b) => b.localeCompare(a));
+}
+
+async function getPinnedId(leagueId, seasonId) {
+    const pin = await readJson(path.join(poolDir(leagueId, seasonId), PIN_FILE));
+    return pin && isValidSnapshotId(pin.snapshotId) ? pin.snapshotId : null;
+}
+
+async function getSnapshot(leagueId, seasonId, snapshotId) {
+    if (!isValidSnapshotId(snapshotId)) return null;
+    return readJson(path.join(poolDir(leagueId, seasonId), `${snapshotId}.json`));
+}
+
+function describeSnapshot(snapshot, pinnedId) {
+    const { players, ...meta } = snapshot;
+    return { ...meta, pinned: snapshot.id === pinnedId };
+}
+
+async function listSnapshots(leagueId, seasonId) {
+    const pinnedId = await getPinnedId(leagueId, seasonId);
+    const snapshots = [];
+    for (const snapshotId of await listSnapshotIds(leagueId, seasonId)) {
+        const snapshot = await getSnapshot(leagueId, seasonId, snapshotId);
+        if (snapshot) snapshots.push(describeSnapshot(snapshot, pinnedId));
+    }
+    return snapshots;
+}
+
+// The pinned snapshot, else the newest one. With fresh set, a newest snapshot past
+// the TTL doesn't count. Resolves to { snapshot, pinned } or null.
+async function findSnapshot(leagueId, seasonId, { fresh = false } = {}) {
+    const pinnedId = await getPinnedId(leagueId, seasonId);
+    if (pinnedId) {
+        const pinned = await getSnapshot(leagueId, seasonId, pinnedId);
+        if (pinned) return { snapshot: pinned, pinned: true };
+    }
+
+    const [latestId] = await listSnapshotIds(leagueId, seasonId);
+    if (!latestId) return null;
+    if (fresh && Date.now() - Number(latestId) > CACHE_TTL_MS) return null;
+
+    const latest = await getSnapshot(leagueId, seasonId, latestId);
+    return latest ? { snapshot: latest, pinned: false } : null;
+}
+
+// Stores a new version and drops the oldest unpinned ones past MAX_SNAPSHOTS
+async function saveSnapshot(leagueId, seasonId, players, source) {
+    const fetchedAt = new Date();
+    const snapshot = {
+        id: String(fetchedAt.getTime()),
+        leagueId: parseInt(leagueId),
+        seasonId: parseInt(seasonId),
+        fetchedAt: fetchedAt.toISOString(),
+        source,
+        playerCount: players.length,
+        players: players.map(player => {
+            const stored = { ...player };
+            UNSNAPSHOTTED_FIELDS.forEach(field => delete stored[field]);
+            return stored;
+        })
+    };
+
+    const dir = poolDir(leagueId, seasonId);
+    await writeJson(path.join(dir, `${snapshot.id}.json`), snapshot);
+
+    const pinnedId = await getPinnedId(leagueId, seasonId);
+    const expired = (await listSnapshotIds(leagueId, seasonId))
+        .filter(snapshotId => snapshotId !== pinnedId)
+        .slice(MAX_SNAPSHOTS - (pinnedId ? 1 : 0));
+    await Promise.all(expired.map(snapshotId => fs.unlink(path.join(dir, `${snapshotId}.json`)).catch(() => {})));
+
+    return snapshot;
+}
+
+// Pass null to unpin. Resolves to false when the snapshot doesn't exist.
+async function pinSnapshot(leagueId, seasonId, snapshotId) {
+    const pinFile = path.join(poolDir(leagueId, seasonId), PIN_FILE);
+    if (snapshotId === null) {
+        await fs.unlink(pinFile).catch(error => {
+            if (error.code !== 'ENOENT') throw error;
+        });
+        return true;
+    }
+
+    if (!await getSnapshot(leagueId, seasonId, snapshotId)) return false;
+    await writeJson(pinFile, { snapshotId, pinnedAt: new Date().toISOString() });
+    return true;
+}
+
+module.exports = {
+    CACHE_TTL_MS,
+    describeSnapshot,
+    listSnapshots,
+    findSnapshot,
+    saveSnapshot,
+    pinSnapshot
+};
@@ -0,0 +1,241 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+// Imported rankings and projections from other sites, one JSON file per source
+// per season. Each row already carries the ESPN player id it was matched to, so
+// merging a consensus into the player pool is a lookup.
+const STORAGE_DIR = path.join(__dirname, '..', 'storage', 'projection-sources');
+const SOURCE_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,39}$/;
+const SEASON_ID_PATTERN = /^\d{4}$/;
+const SETTINGS_FILE = 'settings.json';
+// ESPN's own ADP and projection take part in the consensus as one more source
+const ESPN_SOURCE_ID = 'espn';
+const DEFAULT_WEIGHT = 1;
+
+function seasonDir(seasonId) {
+    return path.join(STORAGE_DIR, String(parseInt(seasonId)));
+}
+
+function isValidSeasonId(seasonId) {
+    return SEASON_ID_PATTERN.test(String(seasonId));
+}
+
+function isValidSourceId(sourceId) {
+    return typeof sourceId === 'string' && SOURCE_ID_PATTERN.test(sourceId) && sourceId !== ESPN_SOURCE_ID;
+}
+
+function isValidWeight(weight) {
+    return typeof weight === 'number' && Number.isFinite(weight) && weight >= 0;
+}
+
+async function readJson(file) {
+    try {
+        return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+async function writeJson(file, contents) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    // Unique per write so concurrent writes of one file can't rename each other's temp file
+    const tempFile = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    await fs.writeFile(tempFile, JSON.stringify(contents, null, 2));
+    await fs.rename(tempFile, file);
+}
+
+async function getEspnWeight(seasonId) {
+    const settings = await readJson(path.join(seasonDir(seasonId), SETTINGS_FILE));
+    return settings && isValidWeight(settings.espnWeight) ? settings.espnWeight : DEFAULT_WEIGHT;
+}
+
+async function loadSources(seasonId) {
+    let files;
+    try {
+        files = await fs.readdir(seasonDir(seasonId));
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    const sources = [];
+    for (const file of files) {
+        if (!file.endsWith('.json') || file === SETTINGS_FILE) continue;
+        const source = await readJson(path.join(seasonDir(seasonId), file));
+        if (source) sources.push(source);
+    }
+    return sources.sort((a, b) => a.id.localeCompare(b.id));
+}
+
+function describeSource(source) {
+    const { rows, ...meta } = source;
+    return meta;
+}
+
+async function listSources(seasonId) {
+    return {
+        espnWeight: await getEspnWeight(seasonId),
+        sources: (await loadSources(seasonId)).map(describeSource)
+    };
+}
+
+// Two rows of one file can match the same player (usually a fuzzy match). Only the
+// best match keeps the player - exact beats fuzzy, then the higher score, then the
+// earlier row - so a source never counts twice for one player. The others come back
+// unmatched with reason 'duplicate'.
+function keepBestMatches(rows) {
+    const rank = row => (row.method === 'fuzzy' ? row.score || 0 : 2);
+    const best = new Map();
+    rows.forEach((row, index) => {
+        if (!row.playerId) return;
+        const current = best.get(row.playerId);
+        if (current === undefined || rank(row) > rank(rows[current])) {
+            best.set(row.playerId, index);
+        }
+    });
+
+    return rows.map((row, index) => {
+        if (!row.playerId || best.get(row.playerId) === index) return row;
+        const { method, score, ...rest } = row;
+        return { ...rest, playerId: null, reason: 'duplicate', duplicateOf: rows[best.get(row.playerId)].name };
+    });
+}
+
+// rows: parsed rows that already went through the matcher ({ ..., playerId, method }).
+// Resolves to { source, error }.
+async function saveSource(seasonId, sourceId, { name, weight, format, rows }) {
+    if (!isValidSourceId(sourceId)) {
+        return { source: null, error: `Source id must be lowercase letters, numbers and dashes (and not "${ESPN_SOURCE_ID}")` };
+    }
+    if (weight !== undefined && !isValidWeight(weight)) {
+        return { source: null, error: 'weight must be 0 or more' };
+    }
+
+    const existing = await readJson(path.join(seasonDir(seasonId), `${sourceId}.json`));
+    const uniqueRows = keepBestMatches(rows);
+    const matched = uniqueRows.filter(row => row.playerId);
+    const source = {
+        id: sourceId,
+        name: name || (existing && existing.name) || sourceId,
+        weight: weight !== undefined ? weight : existing ? existing.weight : DEFAULT_WEIGHT,
+        format,
+        importedAt: new Date().toISOString(),
+        rowCount: rows.length,
+        matchedCount: matched.length,
+        fuzzyMatchCount: matched.filter(row => row.method === 'fuzzy').length,
+        duplicateCount: uniqueRows.filter(row => row.reason === 'duplicate').length,
+        rows: matched.map(row => ({
+            playerId: row.playerId,
+            name: row.name,
+            rank: row.rank,
+            adp: row.adp,
+            projectedPoints: row.projectedPoints
+        }))
+    };
+
+    await writeJson(path.join(seasonDir(seasonId), `${sourceId}.json`), source);
+    return { source: describeSource(source), error: null };
+}
+
+async function deleteSource(seasonId, sourceId) {
+    if (!isValidSourceId(sourceId)) return false;
+    try {
+        await fs.unlink(path.join(seasonDir(seasonId), `${sourceId}.json`));
+        return true;
+    } catch (error) {
+        if (error.code === 'ENOENT') return false;
+        throw error;
+    }
+}
+
+// weights: { espn: 1, <sourceId>: 2, ... }. Resolves to an error message or null.
+async function setWeights(seasonId, weights) {
+    if (!weights || typeof weights !== 'object' || Array.isArray(weights)) {
+        return 'Weights must map a source id to a number';
+    }
+    for (const [sourceId, weight] of Object.entries(weights)) {
+        if (!isValidWeight(weight)) return `Weight for ${sourceId} must be 0 or more`;
+    }
+
+    const sources = await loadSources(seasonId);
+    const unknown = Object.keys(weights).find(sourceId => sourceId !== ESPN_SOURCE_ID && !sources.some(source => source.id === sourceId));
+    if (unknown) return `Unknown source "${unknown}"`;
+
+    if (weights[ESPN_SOURCE_ID] !== undefined) {
+        await writeJson(path.join(seasonDir(seasonId), SETTINGS_FILE), { espnWeight: weights[ESPN_SOURCE_ID] });
+    }
+    for (const source of sources) {
+        if (weights[source.id] !== undefined) {
+            source.weight = weights[source.id];
+            await writeJson(path.join(seasonDir(seasonId), `${source.id}.json`), source);
+        }
+    }
+    return null;
+}
+
+function weightedMean(entries) {
+    const usable = entries.filter(entry => entry.value !== null && entry.value !== undefined && entry.weight > 0);
+    const totalWeight = usable.reduce((sum, entry) => sum + entry.weight, 0);
+    if (totalWeight === 0) return null;
+    return Math.round(usable.reduce((sum, entry) => sum + entry.value * entry.weight, 0) / totalWeight * 10) / 10;
+}
+
+// Adds consensusRank, consensusAdp, consensusProjectedPoints and projectionSources
+// to each player. ESPN's ADP and projection count as the "espn" source. Players
+// come back unchanged (no consensus fields) while no source has been imported.
+async function mergeConsensus(seasonId, players) {
+    const sources = await loadSources(seasonId);
+    if (sources.length === 0) return players;
+
+    const espnWeight = await getEspnWeight(seasonId);
+    const rowsByPlayer = new Map();
+    sources.forEach(source => {
+        // Sources saved before duplicates were dropped may still list a player twice
+        const seen = new Set();
+        source.rows.forEach(row => {
+            if (seen.has(row.playerId)) return;
+            seen.add(row.playerId);
+            if (!rowsByPlayer.has(row.playerId)) rowsByPlayer.set(row.playerId, []);
+            rowsByPlayer.get(row.playerId).push({ sourceId: source.id, weight: source.weight, ...row });
+        });
+    });
+
+    return players.map(player => {
+        const rows = rowsByPlayer.get(player.id) || [];
+        const espnRow = {
+            sourceId: ESPN_SOURCE_ID,
+            weight: espnWeight,
+            rank: null,
+            adp: player.hasRealADP ? player.adp : null,
+            projectedPoints: player.hasRealProjections ? player.projectedPoints : null
+        };
+        const entries = [espnRow, ...rows];
+
+        const projectionSources = {};
+        rows.forEach(row => {
+            projectionSources[row.sourceId] = { rank: row.rank, adp: row.adp, projectedPoints: row.projectedPoints };
+        });
+
+        return {
+            ...player,
+            // Sites without an overall rank still order players by their ADP
+            consensusRank: weightedMean(rows.map(row => ({ value: row.rank !== null ? row.rank : row.adp, weight: row.weight }))),
+            consensusAdp: weightedMean(entries.map(entry => ({ value: entry.adp, weight: entry.weight }))),
+            consensusProjectedPoints: weightedMean(entries.map(entry => ({ value: entry.projectedPoints, weight: entry.weight }))),
+            projectionSources
+        };
+    });
+}
+
+module.exports = {
+    ESPN_SOURCE_ID,
+    isValidSeasonId,
+    listSources,
+    keepBestMatches,
+    saveSource,
+    deleteSource,
+    setWeights,
+    mergeConsensus
+};
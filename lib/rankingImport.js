@@ -0,0 +1,326 @@
+// Parses ranking/projection files from other sites (CSV or JSON) and matches
+// each row to an ESPN player id. Sites spell names differently ("Ja'Marr Chase"
+// vs "JaMarr Chase", "Kenneth Walker III", "Dolphins D/ST" vs "Miami Defense"),
+// so names are normalized first and fuzzy-matched as a last resort.
+
+// Column names seen in the wild -> our field
+const COLUMN_ALIASES = {
+    name: ['name', 'player', 'playername', 'player name', 'full name', 'fullname'],
+    team: ['team', 'tm', 'nfl team', 'proteam'],
+    position: ['position', 'pos'],
+    rank: ['rank', 'rk', 'overall', 'overall rank', 'ecr', 'consensus rank'],
+    adp: ['adp', 'avg', 'average draft position'],
+    projectedPoints: ['projectedpoints', 'projected points', 'projection', 'proj', 'points', 'pts', 'fpts', 'fantasy points']
+};
+
+const POSITION_ALIASES = {
+    QB: 'QB',
+    RB: 'RB',
+    WR: 'WR',
+    TE: 'TE',
+    K: 'K',
+    PK: 'K',
+    DST: 'D/ST',
+    'D/ST': 'D/ST',
+    DEF: 'D/ST',
+    D: 'D/ST',
+    DEFENSE: 'D/ST'
+};
+
+// Abbreviations other sites use, mapped onto the ones getTeamAbbr in server.js produces
+const TEAM_ALIASES = {
+    JAC: 'JAX',
+    WSH: 'WAS',
+    LA: 'LAR',
+    KCC: 'KC',
+    GBP: 'GB',
+    NOS: 'NO',
+    NEP: 'NE',
+    SFO: 'SF',
+    TBB: 'TB',
+    LVR: 'LV',
+    OAK: 'LV',
+    SD: 'LAC',
+    STL: 'LAR',
+    ARZ: 'ARI',
+    BLT: 'BAL',
+    CLV: 'CLE',
+    HST: 'HOU'
+};
+
+// City / state names that defense rows use instead of the nickname ("Miami Defense").
+// New York and Los Angeles have two teams each, so those rows need the nickname.
+const TEAM_CITIES = {
+    arizona: 'ARI',
+    atlanta: 'ATL',
+    baltimore: 'BAL',
+    buffalo: 'BUF',
+    carolina: 'CAR',
+    chicago: 'CHI',
+    cincinnati: 'CIN',
+    cleveland: 'CLE',
+    dallas: 'DAL',
+    denver: 'DEN',
+    detroit: 'DET',
+    'green bay': 'GB',
+    houston: 'HOU',
+    indianapolis: 'IND',
+    jacksonville: 'JAX',
+    'kansas city': 'KC',
+    'las vegas': 'LV',
+    miami: 'MIA',
+    minnesota: 'MIN',
+    'new england': 'NE',
+    'new orleans': 'NO',
+    philadelphia: 'PHI',
+    pittsburgh: 'PIT',
+    'san francisco': 'SF',
+    seattle: 'SEA',
+    'tampa bay': 'TB',
+    tennessee: 'TEN',
+    washington: 'WAS'
+};
+
+const NAME_SUFFIXES = new Set(['jr', 'sr', 'ii', 'iii', 'iv', 'v']);
+const FUZZY_MATCH_THRESHOLD = 0.85;
+
+function normalizeName(name) {
+    return String(name || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/['’`.]/g, '')
+        .replace(/[^a-z0-9/ ]+/g, ' ')
+        .split(/\s+/)
+        .filter(part => part && !NAME_SUFFIXES.has(part))
+        .join(' ');
+}
+
+function normalizeTeam(team) {
+    const abbrev = String(team || '').trim().toUpperCase();
+    return TEAM_ALIASES[abbrev] || abbrev || null;
+}
+
+function normalizePosition(position) {
+    // "WR1", "RB12" from positional ranks
+    const key = String(position || '').trim().toUpperCase().replace(/\d+$/, '');
+    return POSITION_ALIASES[key] || null;
+}
+
+function parseNumber(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const number = Number(String(value).replace(/,/g, ''));
+    return Number.isFinite(number) ? number : null;
+}
+
+// RFC 4180-ish: quoted fields, doubled quotes, commas and newlines inside quotes
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(cell => cell.trim()));
+}
+
+function mapColumns(headers) {
+    const columns = {};
+    headers.forEach((header, index) => {
+        const key = String(header).trim().toLowerCase().replace(/_/g, ' ');
+        Object.entries(COLUMN_ALIASES).forEach(([field, aliases]) => {
+            if (columns[field] === undefined && aliases.includes(key)) {
+                columns[field] = index;
+            }
+        });
+    });
+    return columns;
+}
+
+function toRow(get) {
+    return {
+        name: String(get('name') || '').trim(),
+        team: normalizeTeam(get('team')),
+        position: normalizePosition(get('position')),
+        rank: parseNumber(get('rank')),
+        adp: parseNumber(get('adp')),
+        projectedPoints: parseNumber(get('projectedPoints'))
+    };
+}
+
+// content is CSV text, a JSON string, or already-parsed JSON (an array of row
+// objects, or { rows: [...] }). Returns { rows, error }.
+function parseRankings(content, format) {
+    let records;
+    // Excel puts a byte order mark in front of the header row
+    if (typeof content === 'string') content = content.replace(/^\uFEFF/, '');
+
+    if (format === 'csv') {
+        const table = parseCsv(String(content || ''));
+        if (table.length < 2) return { rows: [], error: 'CSV needs a header row and at least one player' };
+
+        const columns = mapColumns(table[0]);
+        if (columns.name === undefined) return { rows: [], error: 'CSV needs a player name column' };
+        records = table.slice(1).map(cells => toRow(field => (columns[field] === undefined ? undefined : cells[columns[field]])));
+    } else {
+        let data = content;
+        if (typeof data === 'string') {
+            try {
+                data = JSON.parse(data);
+            } catch (error) {
+                return { rows: [], error: `Invalid JSON: ${error.message}` };
+            }
+        }
+        const list = Array.isArray(data) ? data : data && data.rows;
+        if (!Array.isArray(list)) return { rows: [], error: 'JSON must be an array of players or { rows: [...] }' };
+
+        records = list.map(record => {
+            const columns = mapColumns(Object.keys(record || {}));
+            const values = Object.values(record || {});
+            return toRow(field => (columns[field] === undefined ? undefined : values[columns[field]]));
+        });
+    }
+
+    const rows = records.filter(row => row.name);
+    if (rows.length === 0) return { rows, error: 'No players found in the file' };
+    if (!rows.some(row => row.rank !== null || row.adp !== null || row.projectedPoints !== null)) {
+        return { rows, error: 'Rows need a rank, adp or projection column' };
+    }
+    return { rows, error: null };
+}
+
+function levenshtein(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+function similarity(a, b) {
+    if (!a || !b) return 0;
+    return 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+}
+
+// D/ST rows come as "Dolphins D/ST", "Miami Dolphins", "MIA DST" or just a team
+// column; ESPN names them "<Nickname> D/ST". Resolve them by team instead.
+function isDefenseRow(row) {
+    return row.position === 'D/ST' || /\b(d\/st|dst|defense|def)\b/i.test(row.name);
+}
+
+// players: the normalized ESPN pool. Returns a matcher (row -> { playerId, method } or
+// { playerId: null, reason }).
+function createMatcher(players) {
+    const byName = new Map();
+    const defenses = [];
+
+    players.forEach(player => {
+        if (player.position === 'D/ST') {
+            const nickname = normalizeName(player.name.replace(/D\/ST/i, ''));
+            defenses.push({ player, nickname });
+            return;
+        }
+        const key = normalizeName(player.name);
+        if (!byName.has(key)) byName.set(key, []);
+        byName.get(key).push(player);
+    });
+
+    const pickBest = (candidates, row) => {
+        const filtered = candidates
+            .filter(player => !row.position || player.position === row.position)
+            .filter(player => !row.team || player.team === row.team);
+        if (filtered.length === 1) return filtered[0];
+        // Same name on two teams (or a traded player): only trust a unique position match
+        const byPosition = candidates.filter(player => !row.position || player.position === row.position);
+        return byPosition.length === 1 ? byPosition[0] : null;
+    };
+
+    return row => {
+        if (isDefenseRow(row)) {
+            const name = normalizeName(row.name);
+            const words = name.split(' ');
+            const city = Object.keys(TEAM_CITIES).find(key => ` ${name} `.includes(` ${key} `));
+            const defense = defenses.find(entry => row.team && entry.player.team === row.team) ||
+                defenses.find(entry => entry.nickname && words.includes(entry.nickname)) ||
+                defenses.find(entry => city && entry.player.team === TEAM_CITIES[city]) ||
+                defenses.find(entry => words.some(word => normalizeTeam(word) === entry.player.team));
+            return defense ? { playerId: defense.player.id, method: 'defense' } : { playerId: null, reason: 'No D/ST for that team' };
+        }
+
+        const key = normalizeName(row.name);
+        const exact = byName.get(key);
+        if (exact) {
+            const player = pickBest(exact, row);
+            return player ? { playerId: player.id, method: 'exact' } : { playerId: null, reason: 'Several players share that name' };
+        }
+
+        // Fuzzy fallback within the row's position when it has one
+        let best = null;
+        let bestScore = 0;
+        let runnerUpScore = 0;
+        byName.forEach((candidates, candidateKey) => {
+            const score = similarity(key, candidateKey);
+            if (score <= runnerUpScore) return;
+
+            const player = pickBest(candidates, row);
+            if (!player) return;
+            if (score > bestScore) {
+                runnerUpScore = bestScore;
+                best = player;
+                bestScore = score;
+            } else {
+                runnerUpScore = score;
+            }
+        });
+
+        if (best && bestScore >= FUZZY_MATCH_THRESHOLD && bestScore > runnerUpScore) {
+            return { playerId: best.id, method: 'fuzzy', score: Math.round(bestScore * 100) / 100 };
+        }
+        return { playerId: null, reason: 'No close match' };
+    };
+}
+
+module.exports = {
+    normalizeName,
+    parseCsv,
+    parseRankings,
+    createMatcher
+};
@@ -0,0 +1,82 @@
+// Normalizes ESPN's mSettings rosterSettings.lineupSlotCounts into the
+// roster shape the draft board, roster panel and needs analysis use.
+
+// ESPN lineup slot ids we support. IDP slots (8-15) are deliberately left out.
+const LINEUP_SLOTS = {
+    0: 'QB',
+    2: 'RB',
+    3: 'RB/WR',
+    4: 'WR',
+    5: 'WR/TE',
+    6: 'TE',
+    7: 'OP',
+    16: 'D/ST',
+    17: 'K',
+    23: 'FLEX'
+};
+const BENCH_SLOT_ID = 20;
+const IR_SLOT_ID = 21;
+
+// 1 QB / 2 RB / 2 WR / 1 TE / 1 FLEX / 1 K / 1 D/ST + 7 bench = 16 rounds
+const DEFAULT_ROSTER_SETTINGS = {
+    slots: {
+        QB: 1,
+        RB: 2,
+        WR: 2,
+        TE: 1,
+        'RB/WR': 0,
+        'WR/TE': 0,
+        FLEX: 1,
+        OP: 0,
+        K: 1,
+        'D/ST': 1
+    },
+    bench: 7,
+    ir: 0,
+    totalRounds: 16
+};
+
+function countStarters(slots) {
+    return Object.values(slots).reduce((sum, count) => sum + count, 0);
+}
+
+function parseRosterSettings(rosterSettings) {
+    const lineupSlotCounts = rosterSettings && rosterSettings.lineupSlotCounts;
+    if (!lineupSlotCounts) {
+        return {
+            ...DEFAULT_ROSTER_SETTINGS,
+            slots: { ...DEFAULT_ROSTER_SETTINGS.slots },
+            source: 'default'
+        };
+    }
+
+    const slots = {};
+    Object.values(LINEUP_SLOTS).forEach(name => {
+        slots[name] = 0;
+    });
+
+    Object.entries(lineupSlotCounts).forEach(([slotId, count]) => {
+        const name = LINEUP_SLOTS[slotId];
+        if (name) {
+            slots[name] = parseInt(count) || 0;
+        }
+    });
+
+    const bench = parseInt(lineupSlotCounts[BENCH_SLOT_ID]) || 0;
+    const ir = parseInt(lineupSlotCounts[IR_SLOT_ID]) || 0;
+
+    return {
+        slots,
+        bench,
+        ir,
+        // IR spots aren't drafted into, so they don't add rounds
+        totalRounds: countStarters(slots) + bench,
+        source: 'espn'
+    };
+}
+
+module.exports = {
+    LINEUP_SLOTS,
+    DEFAULT_ROSTER_SETTINGS,
+    parseRosterSettings
+};
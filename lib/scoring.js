@@ -0,0 +1,127 @@
+// Applies a league's ESPN scoringSettings.scoringItems to projected raw stat
+// lines, so projections reflect the league's real rules (half-PPR, TE premium,
+// 6-pt passing TDs, yardage bonuses) instead of ESPN's default appliedTotal.
+
+// ESPN stat ids used for the scoring summary and the receptions-based label
+const STAT_IDS = {
+    passingYards: 3,
+    passingTouchdowns: 4,
+    interceptionsThrown: 20,
+    rushingYards: 24,
+    rushingTouchdowns: 25,
+    receivingYards: 42,
+    receivingTouchdowns: 43,
+    receptions: 53,
+    fumblesLost: 72
+};
+
+// defaultPositionId -> lineup slot id that ESPN uses for pointsOverrides
+const POSITION_SLOT_IDS = {
+    1: 0, // QB
+    2: 2, // RB
+    3: 4, // WR
+    4: 6, // TE
+    5: 17, // K
+    16: 16 // D/ST
+};
+
+const PROJECTED_STAT_SOURCE = 1;
+const SEASON_SPLIT_TYPE = 0;
+
+function roundPoints(points) {
+    return Math.round(points * 100) / 100;
+}
+
+// Keep only what the engine needs from ESPN's scoringItems
+function parseScoringItems(scoringSettings) {
+    const items = scoringSettings && scoringSettings.scoringItems;
+    if (!Array.isArray(items)) return [];
+
+    return items
+        .filter(item => item && item.statId !== undefined)
+        .map(item => ({
+            statId: item.statId,
+            points: Number(item.points) || 0,
+            pointsOverrides: item.pointsOverrides || {}
+        }));
+}
+
+function getItemPoints(item, positionId) {
+    const slotId = POSITION_SLOT_IDS[positionId];
+    if (slotId !== undefined && item.pointsOverrides[slotId] !== undefined) {
+        return Number(item.pointsOverrides[slotId]) || 0;
+    }
+    return item.points;
+}
+
+function findItem(scoringItems, statId) {
+    return scoringItems.find(item => item.statId === statId) || null;
+}
+
+// Human-readable view of the rules that matter most for draft values
+function summarizeScoring(scoringItems) {
+    const pointsFor = (statId, positionId) => {
+        const item = findItem(scoringItems, statId);
+        return item ? getItemPoints(item, positionId) : 0;
+    };
+
+    const receptionPoints = pointsFor(STAT_IDS.receptions);
+    const tePremium = roundPoints(pointsFor(STAT_IDS.receptions, 4) - receptionPoints);
+
+    let label = receptionPoints >= 1 ? 'PPR' : receptionPoints >= 0.5 ? 'Half PPR' : receptionPoints > 0 ? `${receptionPoints} PPR` : 'Standard';
+    if (tePremium > 0) {
+        label += ' + TE Premium';
+    }
+
+    return {
+        label,
+        receptionPoints,
+        tePremium,
+        passingTouchdownPoints: pointsFor(STAT_IDS.passingTouchdowns),
+        interceptionPoints: pointsFor(STAT_IDS.interceptionsThrown),
+        itemCount: scoringItems.length
+    };
+}
+
+// The season-long projection line: statSourceId 1 (projected), full-season split
+function findProjectedStats(player, seasonId) {
+    if (!player || !Array.isArray(player.stats)) return null;
+
+    return player.stats.find(stat =>
+        stat.statSourceId === PROJECTED_STAT_SOURCE &&
+        stat.seasonId === seasonId &&
+        (stat.statSplitTypeId === undefined || stat.statSplitTypeId === SEASON_SPLIT_TYPE)
+    ) || null;
+}
+
+function calculateFantasyPoints(stats, scoringItems, positionId) {
+    if (!stats || scoringItems.length === 0) return 0;
+
+    const total = scoringItems.reduce((sum, item) => {
+        const value = Number(stats[item.statId]);
+        if (!value) return sum;
+        return sum + value * getItemPoints(item, positionId);
+    }, 0);
+
+    return roundPoints(total);
+}
+
+// Returns the league-scored projection for a player, or null when there is
+// nothing to score (no scoring rules or no projected stat line)
+function projectPlayerPoints(player, seasonId, scoringItems) {
+    if (!scoringItems || scoringItems.length === 0) return null;
+
+    const projectedStats = findProjectedStats(player, seasonId);
+    if (!projectedStats || !projectedStats.stats) return null;
+
+    return calculateFantasyPoints(projectedStats.stats, scoringItems, player.defaultPositionId);
+}
+
+module.exports = {
+    STAT_IDS,
+    parseScoringItems,
+    summarizeScoring,
+    findProjectedStats,
+    calculateFantasyPoints,
+    projectPlayerPoints
+};
@@ -0,0 +1,262 @@
+// Projects the regular season from drafted rosters: each team's best lineup
+// per week from ESPN's weekly projections, played out over the league's
+// matchup schedule to get projected wins and playoff odds.
+
+const { calculateFantasyPoints } = require('./scoring');
+
+const PROJECTED_STAT_SOURCE = 1;
+const WEEKLY_SPLIT_TYPE = 1;
+const SEASON_SPLIT_TYPE = 0;
+const NFL_GAMES = 17;
+const DEFAULT_SIMULATIONS = 1000;
+const DEFAULT_REGULAR_SEASON_WEEKS = 14;
+const MAX_SIMULATIONS = 10000;
+// Spread of a team's real weekly score around its projection
+const WEEKLY_SD_FACTOR = 0.18;
+
+// Lineup slot -> positions that may fill it
+const SLOT_ELIGIBILITY = {
+    QB: ['QB'],
+    RB: ['RB'],
+    WR: ['WR'],
+    TE: ['TE'],
+    K: ['K'],
+    'D/ST': ['D/ST'],
+    'RB/WR': ['RB', 'WR'],
+    'WR/TE': ['WR', 'TE'],
+    FLEX: ['RB', 'WR', 'TE'],
+    OP: ['QB', 'RB', 'WR', 'TE']
+};
+
+function roundPoints(points) {
+    return Math.round(points * 10) / 10;
+}
+
+function findProjectedStat(player, seasonId, splitTypeId, scoringPeriodId) {
+    if (!player || !Array.isArray(player.stats)) return null;
+
+    return player.stats.find(stat =>
+        stat.statSourceId === PROJECTED_STAT_SOURCE &&
+        stat.seasonId === seasonId &&
+        stat.statSplitTypeId === splitTypeId &&
+        (scoringPeriodId === undefined || stat.scoringPeriodId === scoringPeriodId)
+    ) || null;
+}
+
+function scoreStat(stat, positionId, scoringItems) {
+    if (scoringItems && scoringItems.length > 0 && stat.stats) {
+        return calculateFantasyPoints(stat.stats, scoringItems, positionId);
+    }
+    return stat.appliedTotal || 0;
+}
+
+// Points for one player in one scoring period. ESPN only publishes weekly lines a
+// few weeks out, so later weeks fall back to the season projection spread over
+// the schedule (0 on the bye).
+function projectWeekPoints(player, seasonId, scoringPeriodId, { scoringItems, byeWeek } = {}) {
+    if (byeWeek && byeWeek === scoringPeriodId) {
+        return { points: 0, source: 'bye' };
+    }
+
+    const weekly = findProjectedStat(player, seasonId, WEEKLY_SPLIT_TYPE, scoringPeriodId);
+    if (weekly) {
+        return { points: scoreStat(weekly, player.defaultPositionId, scoringItems), source: 'weekly' };
+    }
+
+    const season = findProjectedStat(player, seasonId, SEASON_SPLIT_TYPE);
+    if (season) {
+        return { points: scoreStat(season, player.defaultPositionId, scoringItems) / NFL_GAMES, source: 'season' };
+    }
+
+    return { points: 0, source: 'none' };
+}
+
+// rosterSettings is the parseRosterSettings shape. players: [{ position, points }].
+// Dedicated slots are filled first so flex spots get whoever is left.
+function optimalLineup(players, rosterSettings) {
+    const slots = Object.entries(rosterSettings.slots)
+        .filter(([slot, count]) => count > 0 && SLOT_ELIGIBILITY[slot])
+        .sort((a, b) => SLOT_ELIGIBILITY[a[0]].length - SLOT_ELIGIBILITY[b[0]].length);
+    const available = players.slice().sort((a, b) => b.points - a.points);
+    const starters = [];
+
+    slots.forEach(([slot, count]) => {
+        for (let i = 0; i < count; i++) {
+            const index = available.findIndex(player => SLOT_ELIGIBILITY[slot].includes(player.position));
+            if (index === -1) break;
+            starters.push({ slot, ...available.splice(index, 1)[0] });
+        }
+    });
+
+    return {
+        points: roundPoints(starters.reduce((sum, starter) => sum + starter.points, 0)),
+        starters
+    };
+}
+
+// Regular-season matchups from the mMatchup and mSettings views
+function parseSchedule(data) {
+    const scheduleSettings = (data && data.settings && data.settings.scheduleSettings) || {};
+    const regularSeasonPeriods = scheduleSettings.matchupPeriodCount || 0;
+    const matchupPeriods = scheduleSettings.matchupPeriods || {};
+
+    const matchups = ((data && data.schedule) || [])
+        .filter(matchup => matchup.home && matchup.away)
+        .filter(matchup => !regularSeasonPeriods || matchup.matchupPeriodId <= regularSeasonPeriods)
+        .filter(matchup => !matchup.playoffTierType || matchup.playoffTierType === 'NONE')
+        .map(matchup => ({
+            matchupPeriodId: matchup.matchupPeriodId,
+            homeTeamId: matchup.home.teamId,
+            awayTeamId: matchup.away.teamId
+        }));
+
+    const periodIds = [...new Set(matchups.map(matchup => matchup.matchupPeriodId))].sort((a, b) => a - b);
+    const scoringPeriods = {};
+    periodIds.forEach(periodId => {
+        scoringPeriods[periodId] = matchupPeriods[periodId] || [periodId];
+    });
+
+    return {
+        matchups,
+        scoringPeriods,
+        playoffTeamCount: scheduleSettings.playoffTeamCount || 0
+    };
+}
+
+// Circle-method round robin for leagues whose schedule ESPN hasn't generated yet
+function roundRobinSchedule(teamIds, weeks) {
+    const rotation = teamIds.length % 2 === 0 ? teamIds.slice() : [...teamIds, null];
+    const matchups = [];
+    const scoringPeriods = {};
+
+    for (let week = 1; week <= weeks; week++) {
+        scoringPeriods[week] = [week];
+        for (let i = 0; i < rotation.length / 2; i++) {
+            const home = rotation[i];
+            const away = rotation[rotation.length - 1 - i];
+            if (home !== null && away !== null) {
+                matchups.push({ matchupPeriodId: week, homeTeamId: home, awayTeamId: away });
+            }
+        }
+        rotation.splice(1, 0, rotation.pop());
+    }
+
+    return { matchups, scoringPeriods };
+}
+
+function randomNormal() {
+    let u = 0;
+    let v = 0;
+    while (u === 0) u = Math.random();
+    while (v === 0) v = Math.random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+// Standard normal CDF (Abramowitz-Stegun approximation)
+function normalCdf(z) {
+    const t = 1 / (1 + 0.2316419 * Math.abs(z));
+    const density = Math.exp(-z * z / 2) / Math.sqrt(2 * Math.PI);
+    const tail = density * t * (0.319381530 + t * (-0.356563782 + t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))));
+    return z >= 0 ? 1 - tail : tail;
+}
+
+function winProbability(points, opponentPoints) {
+    const spread = Math.sqrt((points * WEEKLY_SD_FACTOR) ** 2 + (opponentPoints * WEEKLY_SD_FACTOR) ** 2);
+    if (spread === 0) return points === opponentPoints ? 0.5 : points > opponentPoints ? 1 : 0;
+    return normalCdf((points - opponentPoints) / spread);
+}
+
+// teams: [{ teamId, teamName }]. periodPoints: teamId -> { matchupPeriodId -> projected points }.
+// Expected wins come straight from the win probabilities; playoff odds need the
+// whole standings, so those are simulated.
+function simulateSeason({ teams, periodPoints, matchups, playoffTeamCount, simulations = DEFAULT_SIMULATIONS }) {
+    const pointsFor = (teamId, periodId) => (periodPoints[teamId] && periodPoints[teamId][periodId]) || 0;
+    const results = new Map(teams.map(team => [team.teamId, {
+        ...team,
+        projectedWins: 0,
+        projectedLosses: 0,
+        projectedPointsFor: 0,
+        playoffAppearances: 0,
+        seedTotal: 0
+    }]));
+
+    const previews = matchups.map(matchup => {
+        const homePoints = pointsFor(matchup.homeTeamId, matchup.matchupPeriodId);
+        const awayPoints = pointsFor(matchup.awayTeamId, matchup.matchupPeriodId);
+        const homeWinProbability = winProbability(homePoints, awayPoints);
+
+        [[matchup.homeTeamId, homePoints, homeWinProbability], [matchup.awayTeamId, awayPoints, 1 - homeWinProbability]]
+            .forEach(([teamId, points, probability]) => {
+                const result = results.get(teamId);
+                if (!result) return;
+                result.projectedWins += probability;
+                result.projectedLosses += 1 - probability;
+                result.projectedPointsFor += points;
+            });
+
+        return {
+            ...matchup,
+            homeProjectedPoints: homePoints,
+            awayProjectedPoints: awayPoints,
+            homeWinProbability: Math.round(homeWinProbability * 1000) / 1000
+        };
+    });
+
+    const playoffSpots = Math.min(playoffTeamCount || Math.ceil(teams.length / 2), teams.length);
+    for (let sim = 0; sim < simulations; sim++) {
+        const standings = new Map(teams.map(team => [team.teamId, { teamId: team.teamId, wins: 0, points: 0 }]));
+
+        matchups.forEach(matchup => {
+            const home = standings.get(matchup.homeTeamId);
+            const away = standings.get(matchup.awayTeamId);
+            if (!home || !away) return;
+
+            const homeMean = pointsFor(matchup.homeTeamId, matchup.matchupPeriodId);
+            const awayMean = pointsFor(matchup.awayTeamId, matchup.matchupPeriodId);
+            const homeScore = homeMean + randomNormal() * homeMean * WEEKLY_SD_FACTOR;
+            const awayScore = awayMean + randomNormal() * awayMean * WEEKLY_SD_FACTOR;
+
+            home.points += homeScore;
+            away.points += awayScore;
+            if (homeScore > awayScore) home.wins++;
+            else if (awayScore > homeScore) away.wins++;
+            else {
+                home.wins += 0.5;
+                away.wins += 0.5;
+            }
+        });
+
+        // ESPN's default tiebreaker after record is points for
+        Array.from(standings.values())
+            .sort((a, b) => b.wins - a.wins || b.points - a.points)
+            .forEach((entry, i) => {
+                const result = results.get(entry.teamId);
+                result.seedTotal += i + 1;
+                if (i < playoffSpots) result.playoffAppearances++;
+            });
+    }
+
+    const standings = Array.from(results.values())
+        .map(({ playoffAppearances, seedTotal, ...result }) => ({
+            ...result,
+            projectedWins: roundPoints(result.projectedWins),
+            projectedLosses: roundPoints(result.projectedLosses),
+            projectedPointsFor: roundPoints(result.projectedPointsFor),
+            averageSeed: simulations > 0 ? roundPoints(seedTotal / simulations) : null,
+            playoffOdds: simulations > 0 ? Math.round(playoffAppearances / simulations * 1000) / 1000 : null
+        }))
+        .sort((a, b) => b.projectedWins - a.projectedWins || b.projectedPointsFor - a.projectedPointsFor);
+
+    return { standings, matchups: previews, playoffSpots, simulations };
+}
+
+module.exports = {
+    DEFAULT_SIMULATIONS,
+    DEFAULT_REGULAR_SEASON_WEEKS,
+    MAX_SIMULATIONS,
+    projectWeekPoints,
+    optimalLineup,
+    parseSchedule,
+    roundRobinSchedule,
+    simulateSeason
+};
@@ -0,0 +1,196 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+// Draft strategy profiles live as one JSON file per profile in strategies/,
+// so the league can add or tweak them without touching the recommendation engine.
+const STRATEGIES_DIR = path.join(__dirname, '..', 'strategies');
+const STRATEGY_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,39}$/;
+const DEFAULT_STRATEGY_ID = 'killers-first';
+const POSITIONS = ['QB', 'RB', 'WR', 'TE', 'K', 'D/ST'];
+
+// Share of a player's projection written off for each ESPN injury status.
+// Profiles can override any of them with injuryDiscounts.
+const DEFAULT_INJURY_DISCOUNTS = {
+    QUESTIONABLE: 0.1,
+    DOUBTFUL: 0.2,
+    OUT: 0.3,
+    SUSPENSION: 0.25,
+    INJURY_RESERVE: 0.5
+};
+
+function isValidStrategyId(strategyId) {
+    return typeof strategyId === 'string' && STRATEGY_ID_PATTERN.test(strategyId);
+}
+
+function strategyPath(strategyId) {
+    return path.join(STRATEGIES_DIR, `${strategyId}.json`);
+}
+
+function isPositionList(value) {
+    return Array.isArray(value) && value.every(position => POSITIONS.includes(position));
+}
+
+function isPositiveNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+function isRound(value) {
+    return Number.isInteger(value) && value >= 1;
+}
+
+// Returns an error message, or null when the profile is usable
+function validateStrategy(profile) {
+    if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+        return 'Strategy must be a JSON object';
+    }
+    if (typeof profile.name !== 'string' || !profile.name.trim()) {
+        return 'Strategy name is required';
+    }
+
+    const preference = profile.positionalPreference || {};
+    if (typeof preference !== 'object' || Array.isArray(preference)) {
+        return 'positionalPreference must map a starting round to a list of positions';
+    }
+    for (const [round, positions] of Object.entries(preference)) {
+        if (!isRound(Number(round))) {
+            return `positionalPreference round "${round}" is not a round number`;
+        }
+        if (!isPositionList(positions)) {
+            return `positionalPreference round ${round} must list positions from ${POSITIONS.join(', ')}`;
+        }
+    }
+
+    for (const key of ['preferredMultiplier', 'otherMultiplier']) {
+        if (profile[key] !== undefined && !isPositiveNumber(profile[key])) {
+            return `${key} must be a positive number`;
+        }
+    }
+
+    const injuryDiscounts = profile.injuryDiscounts || {};
+    if (typeof injuryDiscounts !== 'object' || Array.isArray(injuryDiscounts)) {
+        return 'injuryDiscounts must map an injury status to a discount';
+    }
+    for (const [status, discount] of Object.entries(injuryDiscounts)) {
+        if (!(status in DEFAULT_INJURY_DISCOUNTS)) {
+            return `Unknown injury status "${status}" - use ${Object.keys(DEFAULT_INJURY_DISCOUNTS).join(', ')}`;
+        }
+        if (typeof discount !== 'number' || discount < 0 || discount > 1) {
+            return `injuryDiscounts.${status} must be between 0 and 1`;
+        }
+    }
+
+    const bonuses = profile.bonuses || [];
+    if (!Array.isArray(bonuses)) {
+        return 'bonuses must be a list';
+    }
+    for (const [i, bonus] of bonuses.entries()) {
+        if (!bonus || !isPositionList(bonus.positions) || bonus.positions.length === 0) {
+            return `Bonus ${i + 1} needs a list of positions`;
+        }
+        if (!isRound(bonus.fromRound) || !isRound(bonus.toRound) || bonus.fromRound > bonus.toRound) {
+            return `Bonus ${i + 1} needs fromRound <= toRound`;
+        }
+        if (!isPositiveNumber(bonus.multiplier)) {
+            return `Bonus ${i + 1} multiplier must be a positive number`;
+        }
+    }
+
+    return null;
+}
+
+// Fill in the optional fields so the client never has to
+function normalizeStrategy(strategyId, profile) {
+    return {
+        id: strategyId,
+        name: profile.name.trim(),
+        description: profile.description || '',
+        positionalPreference: profile.positionalPreference || {},
+        preferredMultiplier: profile.preferredMultiplier || 1,
+        otherMultiplier: profile.otherMultiplier || 1,
+        bonuses: (profile.bonuses || []).map(bonus => ({
+            positions: bonus.positions,
+            fromRound: bonus.fromRound,
+            toRound: bonus.toRound,
+            multiplier: bonus.multiplier
+        })),
+        injuryDiscounts: { ...DEFAULT_INJURY_DISCOUNTS, ...(profile.injuryDiscounts || {}) }
+    };
+}
+
+async function getStrategy(strategyId) {
+    if (!isValidStrategyId(strategyId)) return null;
+
+    let profile;
+    try {
+        profile = JSON.parse(await fs.readFile(strategyPath(strategyId), 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+
+    const error = validateStrategy(profile);
+    if (error) {
+        throw new Error(`${strategyId}.json: ${error}`);
+    }
+    return normalizeStrategy(strategyId, profile);
+}
+
+// A broken profile file is skipped (and logged) rather than taking the whole list down
+async function listStrategies() {
+    let files;
+    try {
+        files = await fs.readdir(STRATEGIES_DIR);
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    const strategies = [];
+    for (const file of files) {
+        if (!file.endsWith('.json')) continue;
+
+        const strategyId = file.slice(0, -'.json'.length);
+        try {
+            const strategy = await getStrategy(strategyId);
+            if (strategy) strategies.push(strategy);
+        } catch (error) {
+            console.warn(`Skipping strategy profile ${file}: ${error.message}`);
+        }
+    }
+
+    return strategies.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Creates or replaces a profile. Resolves to { strategy, error }.
+async function saveStrategy(strategyId, profile) {
+    if (!isValidStrategyId(strategyId)) {
+        return { strategy: null, error: 'Strategy id must be lowercase letters, numbers and dashes' };
+    }
+
+    const error = validateStrategy(profile);
+    if (error) {
+        return { strategy: null, error };
+    }
+
+    const strategy = normalizeStrategy(strategyId, profile);
+    const { id, ...contents } = strategy;
+
+    await fs.mkdir(STRATEGIES_DIR, { recursive: true });
+    const target = strategyPath(strategyId);
+    // Unique per write so two saves of one profile can't rename each other's temp file
+    const tempFile = `${target}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    await fs.writeFile(tempFile, JSON.stringify(contents, null, 2) + '\n');
+    await fs.rename(tempFile, target);
+
+    return { strategy, error: null };
+}
+
+module.exports = {
+    DEFAULT_STRATEGY_ID,
+    DEFAULT_INJURY_DISCOUNTS,
+    validateStrategy,
+    listStrategies,
+    getStrategy,
+    saveStrategy
+};
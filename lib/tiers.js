@@ -0,0 +1,84 @@
+// Groups players into tiers per position by projected points. A tier break is
+// a drop-off in projections that is big relative to that position's usual gap
+// between neighbours, so the tiers follow the data for any season or scoring.
+
+// Only the draftable part of each position is tiered; everyone below is untiered
+const TIERED_PLAYERS = {
+    QB: 36,
+    RB: 72,
+    WR: 84,
+    TE: 36,
+    K: 20,
+    'D/ST': 20
+};
+const GAP_SD_FACTOR = 0.5;
+const MAX_TIER_SIZE = 12;
+
+function mean(values) {
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function standardDeviation(values) {
+    const average = mean(values);
+    return Math.sqrt(mean(values.map(value => (value - average) ** 2)));
+}
+
+// points must be sorted high to low. Returns the indexes i where a new tier
+// starts after points[i].
+function findTierBreaks(points) {
+    if (points.length < 2) return [];
+
+    const gaps = points.slice(1).map((value, i) => points[i] - value);
+    const threshold = mean(gaps) + GAP_SD_FACTOR * standardDeviation(gaps);
+    const breaks = gaps
+        .map((gap, i) => (gap > threshold ? i : null))
+        .filter(i => i !== null);
+
+    // Flat stretches would otherwise end up as one huge tier - split them at their biggest drop
+    const bounds = [-1, ...breaks, points.length - 1];
+    for (let b = 0; b < bounds.length - 1; b++) {
+        const start = bounds[b] + 1;
+        const end = bounds[b + 1];
+        if (end - start + 1 <= MAX_TIER_SIZE) continue;
+
+        let splitAt = start;
+        for (let i = start + 1; i < end; i++) {
+            if (gaps[i] > gaps[splitAt]) splitAt = i;
+        }
+        bounds.splice(b + 1, 0, splitAt);
+        b--;
+    }
+
+    return bounds.slice(1, -1);
+}
+
+// Sets tier (1 = best, null = untiered) on every player and returns them
+function assignTiers(players) {
+    const byPosition = {};
+    players.forEach(player => {
+        player.tier = null;
+        if (TIERED_PLAYERS[player.position] && player.projectedPoints > 0) {
+            (byPosition[player.position] = byPosition[player.position] || []).push(player);
+        }
+    });
+
+    Object.entries(byPosition).forEach(([position, group]) => {
+        const ranked = group
+            .sort((a, b) => b.projectedPoints - a.projectedPoints)
+            .slice(0, TIERED_PLAYERS[position]);
+        const breaks = new Set(findTierBreaks(ranked.map(player => player.projectedPoints)));
+
+        let tier = 1;
+        ranked.forEach((player, i) => {
+            player.tier = tier;
+            if (breaks.has(i)) tier++;
+        });
+    });
+
+    return players;
+}
+
+module.exports = {
+    findTierBreaks,
+    assignTiers
+};
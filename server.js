@@ -1,56 +1,35 @@
 const express = require('express');
 const cors = require('cors');
 const bodyParser = require('body-parser');
-const axios = require('axios');
 const path = require('path');
+const draftStore = require('./lib/draftStore');
+const connections = require('./lib/connections');
+const draftEvents = require('./lib/draftEvents');
+const { parseRosterSettings } = require('./lib/rosterSettings');
+const scoring = require('./lib/scoring');
+const strategies = require('./lib/strategies');
+const { assignTiers } = require('./lib/tiers');
+const byeWeeks = require('./lib/byeWeeks');
+const injuries = require('./lib/injuries');
+const seasonProjection = require('./lib/seasonProjection');
+const playerSnapshots = require('./lib/playerSnapshots');
+const espn = require('./lib/espnClient');
+const playerSchema = require('./lib/playerSchema');
+const rankingImport = require('./lib/rankingImport');
+const projectionSources = require('./lib/projectionSources');
+const cheatSheets = require('./lib/cheatSheets');
 
 const app = express();
 const port = 3000;
 
 // Middleware
 app.use(cors());
-app.use(bodyParser.json());
+// Imported ranking files can run to a few thousand rows
+app.use(bodyParser.json({ limit: '5mb' }));
 app.use(express.static('public'));
 
-// Store connection info
-let leagueConfig = null;
-
-// ESPN API Base URL (Updated)
-const ESPN_BASE_URL = 'https://lm-api-reads.fantasy.espn.com/apis/v3/games/ffl';
-
-// Helper function to make ESPN API requests
-async function makeESPNRequest(endpoint, config, params = {}) {
-    const url = `${ESPN_BASE_URL}${endpoint}`;
-    
-    const headers = {
-        'Accept': 'application/json',
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-    };
-    
-    // Add authentication for private leagues
-    if (config && config.espnS2 && config.swid) {
-        headers['Cookie'] = `espn_s2=${config.espnS2}; SWID=${config.swid}`;
-    }
-    
-    console.log(`ðŸ”— Making request to: ${url}`);
-    console.log(`ðŸ“‹ Params:`, params);
-    
-    try {
-        const response = await axios.get(url, {
-            headers,
-            params,
-            timeout: 15000
-        });
-        
-        return response.data;
-    } catch (error) {
-        console.error(`âŒ ESPN API Error:`, error.response?.status, error.response?.statusText);
-        if (error.response?.data) {
-            console.error('Error details:', error.response.data);
-        }
-        throw error;
-    }
-}
+// Resolve each caller's own league connection onto req.leagueConfig
+app.use('/api', connections.attachConnection);
 
 // API Routes
 app.post('/api/connect', async (req, res) => {
@@ -59,7 +38,7 @@ app.post('/api/connect', async (req, res) => {
         
         console.log(`ðŸˆ Connecting to ESPN League ${leagueId} for season ${seasonId}`);
         
-        leagueConfig = {
+        const leagueConfig = {
             leagueId: parseInt(leagueId),
             seasonId: parseInt(seasonId),
             espnS2: espnS2 || null,
@@ -71,25 +50,44 @@ app.post('/api/connect', async (req, res) => {
         }
         
         // Test connection by getting league info with multiple views
-        const endpoint = `/seasons/${seasonId}/segments/0/leagues/${leagueId}`;
-        const params = { 
-            view: ['mSettings', 'mTeam', 'mRoster'].join(',')
-        };
-        
-        const leagueData = await makeESPNRequest(endpoint, leagueConfig, params);
+        const leagueData = await espn.getLeague(leagueConfig, seasonId, [espn.VIEWS.SETTINGS, espn.VIEWS.TEAM, espn.VIEWS.ROSTER]);
+        
+        // Keep the league's scoring rules so player projections can be rescored
+        const scoringItems = scoring.parseScoringItems(leagueData.settings?.scoringSettings);
+        const scoringSummary = scoring.summarizeScoring(scoringItems);
+        
+        // Only register the connection once ESPN has accepted it
+        const connection = connections.saveConnection({
+            ...leagueConfig,
+            leagueName: leagueData.settings?.name || 'ESPN League',
+            scoringItems,
+            teamCount: leagueData.teams?.length || null,
+            rosterSettings: parseRosterSettings(leagueData.settings?.rosterSettings)
+        }, req.connectionId);
+        res.cookie(connections.CONNECTION_COOKIE, connection.id, { httpOnly: true, sameSite: 'lax' });
         
         console.log(`âœ… Successfully connected to: ${leagueData.settings?.name || 'ESPN League'}`);
         console.log(`ðŸ“Š Teams found: ${leagueData.teams?.length || 0}`);
         
         res.json({
             success: true,
+            connectionId: connection.id,
             league: {
                 name: leagueData.settings?.name || 'ESPN League',
                 teams: leagueData.teams?.length || 0,
-                scoringType: leagueData.settings?.scoringSettings?.scoringType === 0 ? 'Standard' : 'PPR',
+                scoringType: scoringItems.length > 0 ? scoringSummary.label :
+                    leagueData.settings?.scoringSettings?.scoringType === 0 ? 'Standard' : 'PPR',
+                scoring: {
+                    ...scoringSummary,
+                    items: scoringItems
+                },
                 seasonId: seasonId,
                 leagueId: leagueId,
                 draftDate: leagueData.settings?.draftSettings?.date || null,
+                pickOrder: leagueData.settings?.draftSettings?.pickOrder || [],
+                draftType: leagueData.settings?.draftSettings?.type === 'AUCTION' ? 'auction' : 'snake',
+                auctionBudget: leagueData.settings?.draftSettings?.auctionBudget || 200,
+                rosterSettings: parseRosterSettings(leagueData.settings?.rosterSettings),
                 teamData: leagueData.teams?.map(team => ({
                     id: team.id,
                     name: `${team.location} ${team.nickname}`,
@@ -122,262 +120,308 @@ app.post('/api/connect', async (req, res) => {
 });
 
 // CORRECT IMPLEMENTATION based on official ESPN API docs
-// Replace your /api/players/:seasonId with this:
+// Downloads and normalizes the league's full player pool. ESPN's raw objects only
+// ride along when includeRaw is set - they multiply the payload size.
+async function fetchPlayerPool(leagueConfig, seasonId, { includeRaw = false } = {}) {
+    console.log(`ðŸ” Fetching players using getFreeAgents equivalent for season ${seasonId}`);
+    
+    // Use getFreeAgents equivalent - this should return FreeAgentPlayerMap objects
+    console.log(`ðŸ“¡ Making enhanced getFreeAgents API call for league ${leagueConfig.leagueId}`);
+    
+    // Try multiple approaches to get the full player pool
+    let allPlayersData = [];
 
-app.get('/api/players/:seasonId', async (req, res) => {
+    // Approach 1: Try with X-Fantasy-Filter for more players
     try {
-        const seasonId = parseInt(req.params.seasonId);
-        console.log(`ðŸ” Fetching players using getFreeAgents equivalent for season ${seasonId}`);
-        
-        if (!leagueConfig || !leagueConfig.leagueId) {
-            return res.status(400).json({ error: 'Must connect to league first' });
-        }
-        
-        // Use getFreeAgents equivalent - this should return FreeAgentPlayerMap objects
-        const freeAgentsUrl = `${ESPN_BASE_URL}/seasons/${seasonId}/segments/0/leagues/${leagueConfig.leagueId}`;
-        
-        const headers = {
-            'Accept': 'application/json',
-            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-        };
+        const data = await espn.getLeaguePlayers(leagueConfig, seasonId, espn.playerFilter({ limit: 2000 }));
         
-        if (leagueConfig.espnS2 && leagueConfig.swid) {
-            headers['Cookie'] = `espn_s2=${leagueConfig.espnS2}; SWID=${leagueConfig.swid}`;
+        if (data && data.players) {
+            allPlayersData = data.players;
+            console.log(`âœ… Enhanced approach: ${allPlayersData.length} players`);
         }
-        
-        console.log(`ðŸ“¡ Making enhanced getFreeAgents API call to: ${freeAgentsUrl}`);
-        
-        // Try multiple approaches to get the full player pool
-        let allPlayersData = [];
+    } catch (error) {
+        console.log(`âš ï¸ Enhanced approach failed: ${error.message}`);
+    }
 
-        // Approach 1: Try with X-Fantasy-Filter for more players
+    // Approach 2: If we still don't have enough players, try the original working endpoint and merge
+    if (allPlayersData.length < 500) {
         try {
-            const enhancedHeaders = {
-                ...headers,
-                'X-Fantasy-Filter': JSON.stringify({
-                    players: {
-                        limit: 2000,
-                        sortPercOwned: {
-                            sortPriority: 1,
-                            sortAsc: false
-                        }
-                    }
-                })
-            };
+            console.log(`ðŸ”„ Getting additional players from original endpoint...`);
             
-            const response1 = await axios.get(freeAgentsUrl, {
-                headers: enhancedHeaders,
-                params: {
-                    view: 'kona_player_info',
-                    scoringPeriodId: 0
-                },
-                timeout: 20000
-            });
+            const fallbackPlayers = await espn.getSeasonPlayers(seasonId, espn.playerFilter({ limit: 2000 }));
             
-            if (response1.data && response1.data.players) {
-                allPlayersData = response1.data.players;
-                console.log(`âœ… Enhanced approach: ${allPlayersData.length} players`);
-            }
-        } catch (error) {
-            console.log(`âš ï¸ Enhanced approach failed: ${error.message}`);
-        }
-
-        // Approach 2: If we still don't have enough players, try the original working endpoint and merge
-        if (allPlayersData.length < 500) {
-            try {
-                console.log(`ðŸ”„ Getting additional players from original endpoint...`);
+            if (Array.isArray(fallbackPlayers)) {
+                console.log(`âœ… Fallback players: ${fallbackPlayers.length}`);
                 
-                const fallbackUrl = `${ESPN_BASE_URL}/seasons/${seasonId}/players`;
-                const fallbackHeaders = {
-                    'Accept': 'application/json',
-                    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-                    'X-Fantasy-Filter': JSON.stringify({
-                        players: {
-                            limit: 2000,
-                            sortPercOwned: {
-                                sortPriority: 1,
-                                sortAsc: false
-                            }
-                        }
-                    })
-                };
+                // Merge players - use enhanced data where available, fallback for others
+                const enhancedPlayerIds = new Set(allPlayersData.map(p => (p.player || p).id));
                 
-                const fallbackResponse = await axios.get(fallbackUrl, {
-                    headers: fallbackHeaders,
-                    params: { view: 'players_wl' },
-                    timeout: 20000
+                fallbackPlayers.forEach(fallbackPlayer => {
+                    if (!enhancedPlayerIds.has(fallbackPlayer.id)) {
+                        // Add fallback player in same format as enhanced players
+                        allPlayersData.push({
+                            player: fallbackPlayer,
+                            // Add minimal wrapper to match enhanced format
+                            id: fallbackPlayer.id,
+                            dataSource: 'fallback'
+                        });
+                    }
                 });
                 
-                if (fallbackResponse.data && Array.isArray(fallbackResponse.data)) {
-                    const fallbackPlayers = fallbackResponse.data;
-                    console.log(`âœ… Fallback players: ${fallbackPlayers.length}`);
-                    
-                    // Merge players - use enhanced data where available, fallback for others
-                    const enhancedPlayerIds = new Set(allPlayersData.map(p => (p.player || p).id));
-                    
-                    fallbackPlayers.forEach(fallbackPlayer => {
-                        if (!enhancedPlayerIds.has(fallbackPlayer.id)) {
-                            // Add fallback player in same format as enhanced players
-                            allPlayersData.push({
-                                player: fallbackPlayer,
-                                // Add minimal wrapper to match enhanced format
-                                id: fallbackPlayer.id,
-                                dataSource: 'fallback'
-                            });
-                        }
-                    });
-                    
-                    console.log(`ðŸ”— Merged total: ${allPlayersData.length} players`);
-                }
-                
-            } catch (fallbackError) {
-                console.log(`âŒ Fallback also failed: ${fallbackError.message}`);
+                console.log(`ðŸ”— Merged total: ${allPlayersData.length} players`);
             }
+            
+        } catch (fallbackError) {
+            console.log(`âŒ Fallback also failed: ${fallbackError.message}`);
         }
+    }
 
-        // Use the merged player data
-        let playersData = allPlayersData;
-        
-        if (playersData.length === 0) {
-            throw new Error('No players data retrieved from any source');
+    // Use the merged player data
+    let playersData = allPlayersData;
+    
+    if (playersData.length === 0) {
+        throw new Error('No players data retrieved from any source');
+    }
+    
+    if (playersData.length === 0) {
+        throw new Error('No players data retrieved');
+    }
+    
+    console.log(`ðŸ” Processing ${playersData.length} players...`);
+    
+    const { byeWeeks: teamByeWeeks, source: byeWeekSource } = await fetchByeWeeks(seasonId);
+    console.log(`ðŸ“… Bye weeks for ${teamByeWeeks.size} teams (${byeWeekSource})`);
+    
+    // Sample player structure for debugging
+    if (playersData[0]) {
+        console.log(`ðŸ“Š Sample player structure:`, JSON.stringify(playersData[0], null, 2).substring(0, 500));
+    }
+    
+    // Process players according to FreeAgentPlayerMap structure from docs
+    const FANTASY_POSITIONS = [1, 2, 3, 4, 5, 16];
+    
+    const players = playersData.map(playerEntry => {
+        // Handle both direct player objects and wrapped player objects
+        const player = playerEntry.player || playerEntry;
+        
+        if (!player || !player.fullName) return null;
+        
+        // Extract data according to official PlayerMap structure
+        let adp = 999;
+        let projectedPoints = 0;
+        let ownership = 0;
+        
+        // According to docs, averageDraftPosition should be directly on player
+        if (player.averageDraftPosition) {
+            adp = player.averageDraftPosition;
+        } else if (player.ownership && player.ownership.averageDraftPosition) {
+            adp = player.ownership.averageDraftPosition;
         }
         
-        if (playersData.length === 0) {
-            throw new Error('No players data retrieved');
+        // According to docs, percentOwned should be directly on player  
+        if (player.percentOwned) {
+            ownership = player.percentOwned;
+        } else if (player.ownership && player.ownership.percentOwned) {
+            ownership = player.ownership.percentOwned;
         }
         
-        console.log(`ðŸ” Processing ${playersData.length} players...`);
-        
-        // Sample player structure for debugging
-        if (playersData[0]) {
-            console.log(`ðŸ“Š Sample player structure:`, JSON.stringify(playersData[0], null, 2).substring(0, 500));
+        // According to docs, projectedRawStats should contain projections
+        if (playerEntry.projectedRawStats && playerEntry.projectedRawStats.appliedTotal) {
+            projectedPoints = playerEntry.projectedRawStats.appliedTotal;
+        } else if (player.projectedRawStats && player.projectedRawStats.appliedTotal) {
+            projectedPoints = player.projectedRawStats.appliedTotal;
+        } else if (player.stats && Array.isArray(player.stats)) {
+            // Look for projected stats in stats array
+            const projectedStat = player.stats.find(stat => 
+                stat.seasonId === seasonId && stat.statSourceId === 1
+            );
+            if (projectedStat && projectedStat.appliedTotal) {
+                projectedPoints = projectedStat.appliedTotal;
+            }
         }
         
-        // Process players according to FreeAgentPlayerMap structure from docs
-        const FANTASY_POSITIONS = [1, 2, 3, 4, 5, 16];
+        // Rescore the projected stat line under the league's own scoring rules
+        const espnProjectedPoints = projectedPoints;
+        const leagueProjectedPoints = scoring.projectPlayerPoints(player, seasonId, leagueConfig.scoringItems);
+        if (leagueProjectedPoints !== null) {
+            projectedPoints = leagueProjectedPoints;
+        }
         
-        const players = playersData.map(playerEntry => {
-            // Handle both direct player objects and wrapped player objects
-            const player = playerEntry.player || playerEntry;
+        return {
+            id: player.id,
+            name: player.fullName,
+            team: player.proTeamAbbreviation || getTeamAbbr(player.proTeamId),
+            proTeamId: player.proTeamId,
+            byeWeek: teamByeWeeks.get(player.proTeamId) || null,
+            position: player.defaultPosition || getPositionName(player.defaultPositionId),
+            positionId: player.defaultPositionId,
             
-            if (!player || !player.fullName) return null;
+            // REAL DATA from ESPN API according to docs
+            projectedPoints: projectedPoints,
+            espnProjectedPoints: espnProjectedPoints,
+            leagueProjectedPoints: leagueProjectedPoints,
+            projectionSource: leagueProjectedPoints !== null ? 'league-scoring' : 'espn',
+            ownership: ownership,
+            adp: adp,
+            percentStarted: player.percentStarted || (player.ownership && player.ownership.percentStarted) || 0,
             
-            // Extract data according to official PlayerMap structure
-            let adp = 999;
-            let projectedPoints = 0;
-            let ownership = 0;
+            // Status according to docs
+            eligiblePositions: player.eligiblePositions || (player.eligibleSlots && player.eligibleSlots.map(slot => getPositionName(slot)).filter(pos => pos !== 'Unknown')) || [getPositionName(player.defaultPositionId)],
+            availabilityStatus: player.availabilityStatus || 'FREEAGENT',
+            isDroppable: player.isDroppable !== false,
+            isInjured: player.isInjured === true,
+            injuryStatus: player.injuryStatus || 'ACTIVE',
             
-            // According to docs, averageDraftPosition should be directly on player
-            if (player.averageDraftPosition) {
-                adp = player.averageDraftPosition;
-            } else if (player.ownership && player.ownership.averageDraftPosition) {
-                adp = player.ownership.averageDraftPosition;
-            }
+            // Additional info
+            jerseyNumber: player.jerseyNumber !== undefined && player.jerseyNumber !== null ? String(player.jerseyNumber) : null,
             
-            // According to docs, percentOwned should be directly on player  
-            if (player.percentOwned) {
-                ownership = player.percentOwned;
-            } else if (player.ownership && player.ownership.percentOwned) {
-                ownership = player.ownership.percentOwned;
-            }
+            // ADP bucket - the projection tier is filled in by assignTiers below
+            adpTier: adp <= 24 ? 'elite' : adp <= 60 ? 'starter' : adp <= 120 ? 'depth' : adp <= 180 ? 'popular' : 'sleeper',
             
-            // According to docs, projectedRawStats should contain projections
-            if (playerEntry.projectedRawStats && playerEntry.projectedRawStats.appliedTotal) {
-                projectedPoints = playerEntry.projectedRawStats.appliedTotal;
-            } else if (player.projectedRawStats && player.projectedRawStats.appliedTotal) {
-                projectedPoints = player.projectedRawStats.appliedTotal;
-            } else if (player.stats && Array.isArray(player.stats)) {
-                // Look for projected stats in stats array
-                const projectedStat = player.stats.find(stat => 
-                    stat.seasonId === seasonId && stat.statSourceId === 1
-                );
-                if (projectedStat && projectedStat.appliedTotal) {
-                    projectedPoints = projectedStat.appliedTotal;
-                }
-            }
+            // Data quality indicators  
+            hasRealADP: adp > 0 && adp < 500,
+            hasRealProjections: projectedPoints > 0,
             
-            return {
-                id: player.id,
-                name: player.fullName,
-                team: player.proTeamAbbreviation || getTeamAbbr(player.proTeamId),
-                position: player.defaultPosition || getPositionName(player.defaultPositionId),
-                positionId: player.defaultPositionId,
-                
-                // REAL DATA from ESPN API according to docs
-                projectedPoints: projectedPoints,
-                ownership: ownership,
-                adp: adp,
-                percentStarted: player.percentStarted || (player.ownership && player.ownership.percentStarted) || 0,
-                
-                // Status according to docs
-                eligiblePositions: player.eligiblePositions || (player.eligibleSlots && player.eligibleSlots.map(slot => getPositionName(slot)).filter(pos => pos !== 'Unknown')) || [getPositionName(player.defaultPositionId)],
-                availabilityStatus: player.availabilityStatus || 'FREEAGENT',
-                isDroppable: player.isDroppable !== false,
-                isInjured: player.isInjured === true,
-                injuryStatus: player.injuryStatus || 'ACTIVE',
-                
-                // Additional info
-                jerseyNumber: player.jerseyNumber,
-                
-                // Tier classification based on ADP
-                tier: adp <= 24 ? 'elite' : adp <= 60 ? 'starter' : adp <= 120 ? 'depth' : adp <= 180 ? 'popular' : 'sleeper',
-                
-                // Data quality indicators  
-                hasRealADP: adp > 0 && adp < 500,
-                hasRealProjections: projectedPoints > 0,
+            // Debug info
+            ...(includeRaw && { rawPlayer: player, rawPlayerEntry: playerEntry }),
+            dataSource: 'getFreeAgents'
+        };
+    }).filter(player => {
+        if (!player || !player.name || player.name.length < 2) return false;
+        if (!FANTASY_POSITIONS.includes(player.positionId)) return false;
+        
+        // Keep all fantasy-relevant players
+        const hasSignificantOwnership = player.ownership > 1;
+        const hasValidADP = player.adp > 0 && player.adp < 400;
+        const hasProjections = player.projectedPoints > 0;
+        const isFantasyRelevant = player.ownership > 0 || player.adp < 500;
+        
+        return hasSignificantOwnership || hasValidADP || hasProjections || isFantasyRelevant;
+    }).sort((a, b) => {
+        // Sort by ADP first if available
+        if (a.hasRealADP && b.hasRealADP) {
+            return a.adp - b.adp;
+        }
+        if (a.hasRealADP && !b.hasRealADP) return -1;
+        if (!a.hasRealADP && b.hasRealADP) return 1;
+        
+        // Then by ownership
+        if (a.ownership !== b.ownership) {
+            return b.ownership - a.ownership;
+        }
+        
+        // Finally by projections
+        return b.projectedPoints - a.projectedPoints;
+    });
+    
+    console.log(`ðŸ“Š Processed ${players.length} fantasy players`);
+    
+    // Tier breaks come from drop-offs in the (league-scored) projections
+    assignTiers(players);
+    
+    // Show data quality stats
+    const dataQuality = {
+        totalPlayers: players.length,
+        playersWithRealADP: players.filter(p => p.hasRealADP).length,
+        playersWithRealProjections: players.filter(p => p.hasRealProjections).length,
+        averageADP: players.filter(p => p.hasRealADP).reduce((sum, p) => sum + p.adp, 0) / players.filter(p => p.hasRealADP).length || 0,
+        averageProjections: players.filter(p => p.hasRealProjections).reduce((sum, p) => sum + p.projectedPoints, 0) / players.filter(p => p.hasRealProjections).length || 0
+    };
+    
+    console.log(`ðŸ“ˆ Data quality:`, dataQuality);
+    
+    // Show top 10 for debugging
+    console.log('ðŸ† Top 10 players:');
+    players.slice(0, 10).forEach((player, i) => {
+        console.log(`${i+1}. ${player.name} - ADP: ${player.adp} (${player.hasRealADP ? 'REAL' : 'fallback'}), Proj: ${player.projectedPoints} (${player.hasRealProjections ? 'REAL' : 'fallback'}), Own: ${player.ownership}%`);
+    });
+    
+    // Anything that doesn't match the documented player schema is dropped rather than served
+    const invalidPlayers = players.filter(player => playerSchema.validatePlayer(player));
+    if (invalidPlayers.length > 0) {
+        console.warn(`âš ï¸ Dropping ${invalidPlayers.length} players that don't match the player schema (e.g. ${invalidPlayers[0].name}: ${playerSchema.validatePlayer(invalidPlayers[0])})`);
+    }
+    
+    return players.filter(player => !playerSchema.validatePlayer(player));
+}
+
+// The player object's fields, types and the query options /api/players accepts
+app.get('/api/players/schema', (req, res) => {
+    res.json({
+        success: true,
+        fields: playerSchema.PLAYER_SCHEMA,
+        query: {
+            position: `Comma-separated positions (QB, RB, WR, TE, K, D/ST)`,
+            limit: `Page size, 1-${playerSchema.MAX_LIMIT} (default: every match)`,
+            offset: 'Matches to skip before the page starts (default 0)',
+            fields: 'Comma-separated fields to return; id is always included',
+            sort: `One of ${Object.keys(playerSchema.SORT_FIELDS).join(', ')} (default: ESPN ADP order)`,
+            order: 'asc or desc (default: asc for adp, desc otherwise)',
+            teams: 'League size used for the vor replacement level (default: the connected league\'s, else 12)',
+            refresh: 'true to skip the snapshot cache and refetch from ESPN',
+            debug: 'true to refetch from ESPN and include rawPlayer and rawPlayerEntry',
+            leagueId: 'League to read cached snapshots for when the server has no ESPN connection'
+        }
+    });
+});
+
+// The player pool, served from the snapshot cache unless ?refresh=true; see
+// /api/players/schema for the player object and query options.
+app.get('/api/players/:seasonId', async (req, res) => {
+    try {
+        const leagueConfig = req.leagueConfig;
+        const seasonId = parseInt(req.params.seasonId);
+        const leagueId = (leagueConfig && leagueConfig.leagueId) || parseInt(req.query.leagueId) || null;
+        const refresh = req.query.refresh === 'true' || req.query.refresh === '1';
+        
+        if (!leagueId) {
+            return res.status(400).json({ error: 'Must connect to league first' });
+        }
+        
+        const { options, error: queryError } = playerSchema.parsePlayerQuery(req.query, leagueConfig || {});
+        if (queryError) {
+            return res.status(400).json({ error: queryError });
+        }
+        
+        let cached = refresh || options.debug ? null : await playerSnapshots.findSnapshot(leagueId, seasonId, { fresh: true });
+        let poolSource = cached ? (cached.pinned ? 'pinned' : 'cache') : 'espn';
+        let freshPlayers = null;
+        
+        if (!cached) {
+            try {
+                if (!leagueConfig || !leagueConfig.leagueId) {
+                    throw new Error('Not connected to ESPN league');
+                }
+                freshPlayers = await fetchPlayerPool(leagueConfig, seasonId, { includeRaw: options.debug });
+                cached = { snapshot: await playerSnapshots.saveSnapshot(leagueId, seasonId, freshPlayers, 'espn'), pinned: false };
+                console.log(`ðŸ’¾ Saved player snapshot ${cached.snapshot.id} (${freshPlayers.length} players)`);
+            } catch (error) {
+                cached = await playerSnapshots.findSnapshot(leagueId, seasonId);
+                if (!cached) throw error;
                 
-                // Debug info
-                rawPlayer: player,
-                rawPlayerEntry: playerEntry,
-                dataSource: 'getFreeAgents'
-            };
-        }).filter(player => {
-            if (!player || !player.name || player.name.length < 2) return false;
-            if (!FANTASY_POSITIONS.includes(player.positionId)) return false;
-            
-            // Keep all fantasy-relevant players
-            const hasSignificantOwnership = player.ownership > 1;
-            const hasValidADP = player.adp > 0 && player.adp < 400;
-            const hasProjections = player.projectedPoints > 0;
-            const isFantasyRelevant = player.ownership > 0 || player.adp < 500;
-            
-            return hasSignificantOwnership || hasValidADP || hasProjections || isFantasyRelevant;
-        }).sort((a, b) => {
-            // Sort by ADP first if available
-            if (a.hasRealADP && b.hasRealADP) {
-                return a.adp - b.adp;
+                poolSource = 'offline';
+                console.warn(`âš ï¸ Player pool unavailable from ESPN (${error.message}) - serving snapshot ${cached.snapshot.id}`);
             }
-            if (a.hasRealADP && !b.hasRealADP) return -1;
-            if (!a.hasRealADP && b.hasRealADP) return 1;
-            
-            // Then by ownership
-            if (a.ownership !== b.ownership) {
-                return b.ownership - a.ownership;
-            }
-            
-            // Finally by projections
-            return b.projectedPoints - a.projectedPoints;
-        });
+        }
         
-        console.log(`ðŸ“Š Processed ${players.length} fantasy players`);
+        const { snapshot } = cached;
         
-        // Show data quality stats
-        const dataQuality = {
-            totalPlayers: players.length,
-            playersWithRealADP: players.filter(p => p.hasRealADP).length,
-            playersWithRealProjections: players.filter(p => p.hasRealProjections).length,
-            averageADP: players.filter(p => p.hasRealADP).reduce((sum, p) => sum + p.adp, 0) / players.filter(p => p.hasRealADP).length || 0,
-            averageProjections: players.filter(p => p.hasRealProjections).reduce((sum, p) => sum + p.projectedPoints, 0) / players.filter(p => p.hasRealProjections).length || 0
-        };
+        // Baseline for the injury change feed - live data only, never a cached or pinned snapshot
+        if (freshPlayers) {
+            injuries.recordStatuses(leagueId, seasonId, freshPlayers);
+        }
         
-        console.log(`ðŸ“ˆ Data quality:`, dataQuality);
+        // Snapshots never hold the raw ESPN objects, so debug output comes from the fresh fetch
+        const pool = await projectionSources.mergeConsensus(seasonId, freshPlayers || snapshot.players);
+        const { players, total } = playerSchema.applyPlayerQuery(pool, options);
         
-        // Show top 10 for debugging
-        console.log('ðŸ† Top 10 players:');
-        players.slice(0, 10).forEach((player, i) => {
-            console.log(`${i+1}. ${player.name} - ADP: ${player.adp} (${player.hasRealADP ? 'REAL' : 'fallback'}), Proj: ${player.projectedPoints} (${player.hasRealProjections ? 'REAL' : 'fallback'}), Own: ${player.ownership}%`);
+        res.set({
+            'X-Player-Pool-Source': poolSource,
+            'X-Player-Snapshot-Id': snapshot.id,
+            'X-Player-Snapshot-Fetched-At': snapshot.fetchedAt,
+            'X-Player-Snapshot-Pinned': String(cached.pinned),
+            'X-Total-Count': String(total)
         });
-        
         res.json(players);
         
     } catch (error) {
@@ -390,119 +434,872 @@ app.get('/api/players/:seasonId', async (req, res) => {
     }
 });
 
+// Player pool snapshots for a league and season, newest first
+app.get('/api/players/:seasonId/snapshots', async (req, res) => {
+    try {
+        const leagueId = (req.leagueConfig && req.leagueConfig.leagueId) || parseInt(req.query.leagueId) || null;
+        if (!leagueId) {
+            return res.status(400).json({ error: 'Must connect to league first' });
+        }
+        
+        const seasonId = parseInt(req.params.seasonId);
+        res.json({
+            success: true,
+            seasonId,
+            cacheTtlMinutes: playerSnapshots.CACHE_TTL_MS / 60000,
+            snapshots: await playerSnapshots.listSnapshots(leagueId, seasonId)
+        });
+    } catch (error) {
+        console.error('âŒ Error listing player snapshots:', error.message);
+        res.status(500).json({ error: 'Failed to list player snapshots' });
+    }
+});
+
+// Pin a snapshot so every load serves it (e.g. lock the pool in before draft night).
+// Body: { snapshotId } - or { snapshotId: null } to unpin.
+app.put('/api/players/:seasonId/snapshots/pin', async (req, res) => {
+    try {
+        const leagueId = (req.leagueConfig && req.leagueConfig.leagueId) || parseInt(req.query.leagueId) || null;
+        if (!leagueId) {
+            return res.status(400).json({ error: 'Must connect to league first' });
+        }
+        
+        const seasonId = parseInt(req.params.seasonId);
+        const snapshotId = req.body.snapshotId === null || req.body.snapshotId === undefined ? null : String(req.body.snapshotId);
+        const found = await playerSnapshots.pinSnapshot(leagueId, seasonId, snapshotId);
+        if (!found) {
+            return res.status(404).json({ error: 'Snapshot not found' });
+        }
+        
+        console.log(snapshotId ? `ðŸ“Œ Pinned player snapshot ${snapshotId}` : 'ðŸ“Œ Unpinned player snapshot');
+        res.json({ success: true, snapshots: await playerSnapshots.listSnapshots(leagueId, seasonId) });
+    } catch (error) {
+        console.error('âŒ Error pinning player snapshot:', error.message);
+        res.status(500).json({ error: 'Failed to pin player snapshot' });
+    }
+});
+
 // ADD A SIMPLE TEST ENDPOINT TO CHECK DATA STRUCTURE
 app.get('/api/test-free-agents/:seasonId', async (req, res) => {
     try {
+        const leagueConfig = req.leagueConfig;
         const seasonId = parseInt(req.params.seasonId);
         
         if (!leagueConfig || !leagueConfig.leagueId) {
             return res.status(400).json({ error: 'Must connect to league first' });
         }
         
-        const freeAgentsUrl = `${ESPN_BASE_URL}/seasons/${seasonId}/segments/0/leagues/${leagueConfig.leagueId}`;
+        const data = await espn.getLeaguePlayers(leagueConfig, seasonId);
         
-        const headers = {
-            'Accept': 'application/json',
-            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-        };
+        res.json({
+            success: true,
+            responseKeys: Object.keys(data || {}),
+            sampleData: data,
+            playerCount: data.players ? data.players.length : 0,
+            samplePlayer: data.players ? data.players[0] : null
+        });
+        
+    } catch (error) {
+        res.status(500).json({
+            error: error.message,
+            details: 'Test free agents endpoint failed'
+        });
+    }
+});
+
+app.get('/api/teams/:seasonId', async (req, res) => {
+    try {
+        const leagueConfig = req.leagueConfig;
+        if (!leagueConfig) {
+            return res.status(400).json({ error: 'Not connected to ESPN league' });
+        }
+        
+        const seasonId = parseInt(req.params.seasonId);
+        console.log(`ðŸ‘¥ Fetching teams for season ${seasonId}`);
+        
+        const data = await espn.getLeague(leagueConfig, seasonId, [espn.VIEWS.TEAM, espn.VIEWS.ROSTER]);
+        
+        const teams = (data.teams || []).map(team => ({
+            id: team.id,
+            name: `${team.location} ${team.nickname}`,
+            owner: team.primaryOwner,
+            record: team.record?.overall || { wins: 0, losses: 0, ties: 0 },
+            roster: team.roster?.entries?.map(entry => ({
+                playerId: entry.playerId,
+                playerName: entry.playerPoolEntry?.player?.fullName || 'Unknown',
+                position: getPositionName(entry.playerPoolEntry?.player?.defaultPositionId),
+                lineupSlotId: entry.lineupSlotId
+            })) || []
+        }));
+        
+        res.json(teams);
+        
+    } catch (error) {
+        console.error('âŒ Error fetching teams:', error.message);
+        res.status(500).json({ error: 'Failed to fetch teams' });
+    }
+});
+
+// Keeper candidates: before the draft, ESPN rosters hold only the kept players.
+// keeperValueFuture is the round (or auction price) the keeper costs this season.
+app.get('/api/keepers/:seasonId', async (req, res) => {
+    try {
+        const leagueConfig = req.leagueConfig;
+        if (!leagueConfig) {
+            return res.status(400).json({ error: 'Not connected to ESPN league' });
+        }
+        
+        const seasonId = parseInt(req.params.seasonId);
+        console.log(`ðŸ”’ Fetching keepers for season ${seasonId}`);
+        
+        const data = await espn.getLeague(leagueConfig, seasonId, [espn.VIEWS.TEAM, espn.VIEWS.ROSTER]);
+        
+        const teams = (data.teams || []).map(team => ({
+            teamId: team.id,
+            teamName: `${team.location} ${team.nickname}`,
+            keepers: (team.roster?.entries || []).map(entry => {
+                const poolEntry = entry.playerPoolEntry || {};
+                const player = poolEntry.player || {};
+                
+                return {
+                    playerId: entry.playerId,
+                    playerName: player.fullName || 'Unknown',
+                    position: getPositionName(player.defaultPositionId),
+                    team: getTeamAbbr(player.proTeamId),
+                    keeperValue: poolEntry.keeperValue || 0,
+                    keeperValueFuture: poolEntry.keeperValueFuture || 0
+                };
+            })
+        }));
+        
+        res.json(teams);
+        
+    } catch (error) {
+        console.error('âŒ Error fetching keepers:', error.message);
+        res.status(500).json({ error: 'Failed to fetch keepers' });
+    }
+});
+
+app.get('/api/draft/:seasonId', async (req, res) => {
+    try {
+        const leagueConfig = req.leagueConfig;
+        if (!leagueConfig) {
+            return res.status(400).json({ error: 'Not connected to ESPN league' });
+        }
+        
+        const seasonId = parseInt(req.params.seasonId);
+        console.log(`ðŸˆ Fetching draft info for season ${seasonId}`);
+        
+        const data = await espn.getLeague(leagueConfig, seasonId, espn.VIEWS.DRAFT_DETAIL);
+        
+        const draftInfo = {
+            drafted: data.draftDetail?.drafted || false,
+            picks: data.draftDetail?.picks?.map(pick => ({
+                playerId: pick.playerId,
+                teamId: pick.teamId,
+                roundId: pick.roundId,
+                roundPickNumber: pick.roundPickNumber,
+                overallPickNumber: pick.overallPickNumber,
+                bidAmount: pick.bidAmount || 0,
+                nominatingTeamId: pick.nominatingTeamId,
+                playerName: pick.playerPoolEntry?.player?.fullName || 'Unknown',
+                position: getPositionName(pick.playerPoolEntry?.player?.defaultPositionId),
+                team: getTeamAbbr(pick.playerPoolEntry?.player?.proTeamId)
+            })) || []
+        };
+        
+        res.json(draftInfo);
+        
+    } catch (error) {
+        console.error('âŒ Error fetching draft info:', error.message);
+        res.status(500).json({ error: 'Failed to fetch draft information' });
+    }
+});
+
+// Draft sessions - persisted on the server so a draft can be resumed from any browser
+app.get('/api/drafts', async (req, res) => {
+    try {
+        const drafts = await draftStore.listDrafts();
+        res.json(drafts);
+    } catch (error) {
+        console.error('âŒ Error listing drafts:', error.message);
+        res.status(500).json({ error: 'Failed to list drafts' });
+    }
+});
+
+app.post('/api/drafts', async (req, res) => {
+    try {
+        const { leagueId, seasonId, leagueSetup, rounds, keepers } = req.body;
+
+        if (!leagueSetup || !leagueSetup.size || !Array.isArray(leagueSetup.teams)) {
+            return res.status(400).json({ error: 'leagueSetup with size and teams is required' });
+        }
+
+        const draft = await draftStore.createDraft({ leagueId, seasonId, leagueSetup, rounds, keepers }, getActor(req));
+        console.log(`ðŸ“‹ Created draft session ${draft.id} (${leagueSetup.size} teams, ${draft.rounds} rounds)`);
+
+        res.status(201).json({ success: true, draft });
+    } catch (error) {
+        console.error('âŒ Error creating draft:', error.message);
+        res.status(500).json({ error: 'Failed to create draft', details: error.message });
+    }
+});
+
+app.get('/api/drafts/:draftId', async (req, res) => {
+    try {
+        const draft = await draftStore.getDraft(req.params.draftId);
+        if (!draft) {
+            return res.status(404).json({ error: 'Draft not found' });
+        }
+
+        // Auction drafts also report each team's remaining budget and max bid
+        const budgets = draft.leagueSetup.draftType === 'auction' ?
+            draft.leagueSetup.teams.map((team, teamIndex) => ({
+                teamId: teamIndex,
+                teamName: team.name,
+                ...draftStore.getTeamBudget(draft, teamIndex)
+            })) : undefined;
+
+        res.json({ success: true, draft, budgets });
+    } catch (error) {
+        console.error('âŒ Error loading draft:', error.message);
+        res.status(500).json({ error: 'Failed to load draft' });
+    }
+});
+
+app.patch('/api/drafts/:draftId', async (req, res) => {
+    try {
+        const { currentPick, timer } = req.body;
+        const { draft, previous, error } = await draftStore.updateDraftState(req.params.draftId, {
+            currentPick, timer
+        }, getActor(req));
+
+        if (!draft) {
+            return res.status(404).json({ error: 'Draft not found' });
+        }
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const source = req.get('x-client-id') || null;
+        if (draft.timer.paused !== previous.timer.paused) {
+            draftEvents.publish(draft.id, draft.timer.paused ? 'timer-paused' : 'timer-resumed', {
+                timer: draft.timer
+            }, source);
+        }
+        if (draft.currentPick !== previous.currentPick || draft.draftComplete !== previous.draftComplete) {
+            publishOnTheClock(draft, source);
+        }
+
+        res.json({ success: true, draft });
+    } catch (error) {
+        console.error('âŒ Error updating draft:', error.message);
+        res.status(500).json({ error: 'Failed to update draft' });
+    }
+});
+
+app.post('/api/drafts/:draftId/picks', async (req, res) => {
+    try {
+        const pick = req.body;
+        if (!pick || !pick.playerId) {
+            return res.status(400).json({ error: 'playerId is required' });
+        }
+
+        const { draft, conflict } = await draftStore.addPick(req.params.draftId, pick, getActor(req));
+        if (!draft) {
+            return res.status(404).json({ error: 'Draft not found' });
+        }
+        if (conflict) {
+            return res.status(409).json({ error: conflict, draft });
+        }
+
+        const recordedPick = draft.draftPicks[draft.draftPicks.length - 1];
+        console.log(`âœ… Draft ${draft.id}: pick ${recordedPick.overallPick} - ${pick.playerName}`);
+
+        const source = req.get('x-client-id') || null;
+        draftEvents.publish(draft.id, 'pick-made', { pick: recordedPick }, source);
+        publishOnTheClock(draft, source);
+
+        res.status(201).json({ success: true, draft });
+    } catch (error) {
+        console.error('âŒ Error recording pick:', error.message);
+        res.status(500).json({ error: 'Failed to record pick' });
+    }
+});
+
+app.delete('/api/drafts/:draftId/picks/last', async (req, res) => {
+    try {
+        const { draft, removedPick } = await draftStore.removeLastPick(req.params.draftId, getActor(req));
+        if (!draft) {
+            return res.status(404).json({ error: 'Draft not found' });
+        }
+        if (!removedPick) {
+            return res.status(409).json({ error: 'No picks to undo', draft });
+        }
+
+        console.log(`ðŸ”„ Draft ${draft.id}: undid pick ${removedPick.overallPick} - ${removedPick.playerName}`);
+
+        const source = req.get('x-client-id') || null;
+        draftEvents.publish(draft.id, 'pick-undone', { pick: removedPick }, source);
+        publishOnTheClock(draft, source);
+
+        res.json({ success: true, draft, removedPick });
+    } catch (error) {
+        console.error('âŒ Error undoing pick:', error.message);
+        res.status(500).json({ error: 'Failed to undo pick' });
+    }
+});
+
+// Traded picks: move an unmade pick to another team
+app.put('/api/drafts/:draftId/picks/:overallPick/owner', async (req, res) => {
+    try {
+        const overallPick = parseInt(req.params.overallPick);
+        const teamIndex = parseInt(req.body.teamIndex);
+
+        const { draft, conflict, previousTeamIndex } = await draftStore.tradePick(req.params.draftId, overallPick, teamIndex, getActor(req));
+        if (!draft) {
+            return res.status(404).json({ error: 'Draft not found' });
+        }
+        if (conflict) {
+            return res.status(409).json({ error: conflict, draft });
+        }
+
+        const entry = draft.leagueSetup.pickOwnership[overallPick - 1];
+        console.log(`ðŸ” Draft ${draft.id}: pick ${overallPick} now belongs to ${draft.leagueSetup.teams[teamIndex].name}`);
+
+        const source = req.get('x-client-id') || null;
+        draftEvents.publish(draft.id, 'pick-traded', {
+            overallPick,
+            teamIndex,
+            previousTeamIndex,
+            originalTeamIndex: entry.originalTeamIndex
+        }, source);
+        if (overallPick === draft.currentPick) {
+            publishOnTheClock(draft, source);
+        }
+
+        res.json({ success: true, draft });
+    } catch (error) {
+        console.error('âŒ Error trading pick:', error.message);
+        res.status(500).json({ error: 'Failed to trade pick' });
+    }
+});
+
+// Correct a made pick - swap the player, reassign the team or fix an auction price
+app.patch('/api/drafts/:draftId/picks/:overallPick', async (req, res) => {
+    try {
+        const overallPick = parseInt(req.params.overallPick);
+        const { playerId, playerName, position, team, teamId, bidAmount } = req.body;
+
+        const { draft, conflict, before } = await draftStore.editPick(req.params.draftId, overallPick, {
+            playerId, playerName, position, team, teamId, bidAmount
+        }, getActor(req));
+        if (!draft) {
+            return res.status(404).json({ error: 'Draft not found' });
+        }
+        if (conflict) {
+            return res.status(409).json({ error: conflict, draft });
+        }
+
+        const pick = draft.draftPicks.find(existing => existing.overallPick === overallPick);
+        console.log(`âœï¸ Draft ${draft.id}: pick ${overallPick} edited - ${before.playerName} -> ${pick.playerName}`);
+
+        draftEvents.publish(draft.id, 'pick-edited', { pick, previous: before }, req.get('x-client-id') || null);
+
+        res.json({ success: true, draft });
+    } catch (error) {
+        console.error('âŒ Error editing pick:', error.message);
+        res.status(500).json({ error: 'Failed to edit pick' });
+    }
+});
+
+// Append-only history of every pick change, plus the state rebuilt by replaying it.
+// ?through=<seq> replays only up to that entry.
+app.get('/api/drafts/:draftId/audit', async (req, res) => {
+    try {
+        const draft = await draftStore.getDraft(req.params.draftId);
+        if (!draft) {
+            return res.status(404).json({ error: 'Draft not found' });
+        }
+
+        const throughSeq = parseInt(req.query.through) || Infinity;
+        const replayed = draftStore.replayAuditLog(draft, throughSeq);
+
+        // A full replay should land exactly on the stored picks
+        const pickKey = pick => `${pick.overallPick}:${pick.playerId}:${pick.teamId}`;
+        const consistent = throughSeq === Infinity &&
+            JSON.stringify(replayed.draftPicks.map(pickKey).sort()) === JSON.stringify(draft.draftPicks.map(pickKey).sort()) &&
+            replayed.currentPick === draft.currentPick;
+
+        res.json({
+            success: true,
+            draftId: draft.id,
+            entries: draft.auditLog || [],
+            replayed,
+            consistent
+        });
+    } catch (error) {
+        console.error('âŒ Error loading audit log:', error.message);
+        res.status(500).json({ error: 'Failed to load audit log' });
+    }
+});
+
+// Live draft room updates (pick-made, pick-undone, pick-edited, pick-traded, timer-paused/resumed, on-the-clock)
+app.get('/api/drafts/:draftId/events', async (req, res) => {
+    try {
+        const draft = await draftStore.getDraft(req.params.draftId);
+        if (!draft) {
+            return res.status(404).json({ error: 'Draft not found' });
+        }
+
+        draftEvents.subscribe(draft.id, req, res);
+        console.log(`ðŸ“¡ Draft ${draft.id}: ${draftEvents.subscriberCount(draft.id)} screen(s) watching`);
+
+        // Bring the new screen up to date straight away
+        const onTheClock = draftStore.getOnTheClock(draft);
+        if (onTheClock) {
+            draftEvents.send(res, draft.id, 'on-the-clock', onTheClock);
+        }
+    } catch (error) {
+        console.error('âŒ Error opening draft event stream:', error.message);
+        if (!res.headersSent) {
+            res.status(500).json({ error: 'Failed to open draft event stream' });
+        }
+    }
+});
+
+// Who made a change: the tab's client id plus the name it sends in X-Actor (URI-encoded)
+function getActor(req) {
+    let name = req.get('x-actor') || null;
+    try {
+        name = name && decodeURIComponent(name);
+    } catch (error) {
+        // Keep the raw header if it wasn't encoded
+    }
+
+    return {
+        clientId: req.get('x-client-id') || null,
+        name,
+        connectionId: req.connectionId || null
+    };
+}
+
+// Bye weeks don't depend on the league, so no cookies are needed
+function fetchByeWeeks(seasonId) {
+    return byeWeeks.getByeWeeks(seasonId, () => espn.getProTeamSchedules(seasonId, { timeout: 10000 }));
+}
+
+function publishOnTheClock(draft, source) {
+    const onTheClock = draftStore.getOnTheClock(draft);
+    if (onTheClock) {
+        draftEvents.publish(draft.id, 'on-the-clock', onTheClock, source);
+    }
+}
+
+// Injury change feed - re-reads every player's status from ESPN and returns what changed.
+// Pass ?since=<checkedAt from the last call> to get only the new changes.
+app.get('/api/players/:seasonId/injuries', async (req, res) => {
+    try {
+        const leagueConfig = req.leagueConfig;
+        const seasonId = parseInt(req.params.seasonId);
+
+        if (!leagueConfig || !leagueConfig.leagueId) {
+            return res.status(400).json({ error: 'Must connect to league first' });
+        }
+
+        const data = await espn.getLeaguePlayers(leagueConfig, seasonId, espn.playerFilter({ limit: 1000 }));
+
+        const players = (data.players || [])
+            .map(entry => entry.player || entry)
+            .filter(player => player && player.fullName)
+            .map(player => ({
+                id: player.id,
+                name: player.fullName,
+                team: getTeamAbbr(player.proTeamId),
+                position: getPositionName(player.defaultPositionId),
+                injuryStatus: player.injuryStatus
+            }));
+
+        const { checkedAt, changes: newChanges } = injuries.recordStatuses(leagueConfig.leagueId, seasonId, players);
+        if (newChanges.length > 0) {
+            console.log(`ðŸš‘ ${newChanges.length} injury status change(s) for ${seasonId}`);
+        }
+
+        res.json({
+            success: true,
+            seasonId,
+            checkedAt,
+            playersChecked: players.length,
+            changes: injuries.getChangesSince(leagueConfig.leagueId, seasonId, req.query.since)
+        });
+    } catch (error) {
+        console.error('âŒ Error checking injuries:', error.message);
+        res.status(500).json({ error: 'Failed to check injury statuses', details: error.message });
+    }
+});
+
+// NFL bye weeks by team abbreviation
+app.get('/api/bye-weeks/:seasonId', async (req, res) => {
+    try {
+        const seasonId = parseInt(req.params.seasonId);
+        const { byeWeeks: teamByeWeeks, source } = await fetchByeWeeks(seasonId);
+
+        const teams = Array.from(teamByeWeeks, ([proTeamId, byeWeek]) => ({
+            proTeamId,
+            team: getTeamAbbr(proTeamId),
+            byeWeek
+        })).sort((a, b) => a.byeWeek - b.byeWeek || a.team.localeCompare(b.team));
+
+        res.json({ success: true, seasonId, source, teams });
+    } catch (error) {
+        console.error('âŒ Error fetching bye weeks:', error.message);
+        res.status(500).json({ error: 'Failed to fetch bye weeks' });
+    }
+});
+
+// One scoring period of projections for just the listed players
+async function fetchPlayerProjections(leagueConfig, seasonId, scoringPeriodId, playerIds) {
+    const data = await espn.getLeaguePlayers(leagueConfig, seasonId, espn.playerFilter({ ids: playerIds, limit: playerIds.length }), {
+        params: { scoringPeriodId }
+    });
+
+    return new Map((data.players || [])
+        .map(entry => entry.player || entry)
+        .filter(player => player && player.id)
+        .map(player => [player.id, player]));
+}
+
+// Season-long projection from the drafted rosters. Rosters come from a saved draft
+// session (?draftId=) or, without one, from ESPN's mRoster. ?simulations= tunes the
+// Monte Carlo run behind the playoff odds.
+app.get('/api/season-projection/:seasonId', async (req, res) => {
+    try {
+        const leagueConfig = req.leagueConfig;
+        const seasonId = parseInt(req.params.seasonId);
+
+        if (!leagueConfig || !leagueConfig.leagueId) {
+            return res.status(400).json({ error: 'Must connect to league first' });
+        }
+
+        const simulations = req.query.simulations === undefined ? seasonProjection.DEFAULT_SIMULATIONS : parseInt(req.query.simulations);
+        if (!Number.isInteger(simulations) || simulations < 0 || simulations > seasonProjection.MAX_SIMULATIONS) {
+            return res.status(400).json({ error: `simulations must be between 0 and ${seasonProjection.MAX_SIMULATIONS}` });
+        }
+
+        let draft = null;
+        if (req.query.draftId) {
+            draft = await draftStore.getDraft(req.query.draftId);
+            if (!draft) {
+                return res.status(404).json({ error: 'Draft not found' });
+            }
+        }
+
+        console.log(`ðŸ“ˆ Projecting the ${seasonId} season from ${draft ? `draft ${draft.id}` : 'ESPN rosters'}`);
+
+        const leagueData = await espn.getLeague(leagueConfig, seasonId, [espn.VIEWS.SETTINGS, espn.VIEWS.TEAM, espn.VIEWS.ROSTER, espn.VIEWS.MATCHUP]);
+        const espnTeams = leagueData.teams || [];
+        const pickOrder = leagueData.settings?.draftSettings?.pickOrder || [];
+
+        // teamId -> { teamId, teamName, playerIds }
+        const rosters = new Map();
+        if (draft) {
+            // Draft sessions number teams by draft slot; ESPN's pick order maps a slot back to its team
+            draft.leagueSetup.teams.forEach((team, teamIndex) => {
+                const picks = draft.draftPicks.filter(pick => pick.teamId === teamIndex && pick.playerId);
+                const synced = picks.find(pick => pick.espnTeamId);
+                const teamId = synced ? synced.espnTeamId : pickOrder[teamIndex] || espnTeams[teamIndex]?.id || teamIndex + 1;
+                rosters.set(teamId, { teamId, teamName: team.name, playerIds: picks.map(pick => pick.playerId) });
+            });
+        } else {
+            espnTeams.forEach(team => {
+                rosters.set(team.id, {
+                    teamId: team.id,
+                    teamName: `${team.location} ${team.nickname}`,
+                    playerIds: (team.roster?.entries || []).map(entry => entry.playerId)
+                });
+            });
+        }
+
+        const playerIds = [...new Set(Array.from(rosters.values()).flatMap(roster => roster.playerIds))];
+        if (playerIds.length === 0) {
+            return res.status(400).json({ error: 'No drafted players to project - finish the draft first' });
+        }
+
+        let schedule = seasonProjection.parseSchedule(leagueData);
+        let scheduleSource = 'espn';
+        if (schedule.matchups.length === 0) {
+            const weeks = leagueData.settings?.scheduleSettings?.matchupPeriodCount || seasonProjection.DEFAULT_REGULAR_SEASON_WEEKS;
+            schedule = { ...seasonProjection.roundRobinSchedule(Array.from(rosters.keys()), weeks), playoffTeamCount: schedule.playoffTeamCount };
+            scheduleSource = 'round-robin';
+        }
+
+        const rosterSettings = parseRosterSettings(leagueData.settings?.rosterSettings);
+        const { byeWeeks: teamByeWeeks } = await fetchByeWeeks(seasonId);
+
+        // Weekly projections, one ESPN call per scoring period
+        const scoringPeriodIds = [...new Set(Object.values(schedule.scoringPeriods).flat())].sort((a, b) => a - b);
+        const weekPoints = new Map();
+        const projectionSources = { weekly: 0, season: 0, bye: 0, none: 0 };
+        for (const scoringPeriodId of scoringPeriodIds) {
+            const players = await fetchPlayerProjections(leagueConfig, seasonId, scoringPeriodId, playerIds);
+
+            rosters.forEach(roster => {
+                const lineupPlayers = roster.playerIds.map(playerId => players.get(playerId)).filter(Boolean).map(player => {
+                    const { points, source } = seasonProjection.projectWeekPoints(player, seasonId, scoringPeriodId, {
+                        scoringItems: leagueConfig.scoringItems,
+                        byeWeek: teamByeWeeks.get(player.proTeamId)
+                    });
+                    projectionSources[source]++;
+                    return { playerId: player.id, name: player.fullName, position: getPositionName(player.defaultPositionId), points };
+                });
+
+                weekPoints.set(`${roster.teamId}:${scoringPeriodId}`, seasonProjection.optimalLineup(lineupPlayers, rosterSettings));
+            });
+        }
+
+        const periodPoints = {};
+        rosters.forEach(roster => {
+            periodPoints[roster.teamId] = {};
+            Object.entries(schedule.scoringPeriods).forEach(([periodId, periods]) => {
+                periodPoints[roster.teamId][periodId] = periods
+                    .reduce((sum, scoringPeriodId) => sum + (weekPoints.get(`${roster.teamId}:${scoringPeriodId}`)?.points || 0), 0);
+            });
+        });
+
+        const projection = seasonProjection.simulateSeason({
+            teams: Array.from(rosters.values()).map(({ teamId, teamName }) => ({ teamId, teamName })),
+            periodPoints,
+            matchups: schedule.matchups,
+            playoffTeamCount: schedule.playoffTeamCount,
+            simulations
+        });
+
+        const weeks = Object.entries(schedule.scoringPeriods).map(([periodId, periods]) => ({
+            matchupPeriodId: Number(periodId),
+            scoringPeriods: periods,
+            matchups: projection.matchups.filter(matchup => matchup.matchupPeriodId === Number(periodId)),
+            lineups: Array.from(rosters.keys()).map(teamId => ({
+                teamId,
+                projectedPoints: periodPoints[teamId][periodId],
+                starters: periods.flatMap(scoringPeriodId => weekPoints.get(`${teamId}:${scoringPeriodId}`)?.starters || [])
+            }))
+        }));
+
+        console.log(`âœ… Projected ${projection.matchups.length} matchups over ${weeks.length} weeks (${scheduleSource} schedule)`);
+
+        res.json({
+            success: true,
+            seasonId,
+            rosterSource: draft ? 'draft' : 'espn',
+            draftId: draft ? draft.id : null,
+            scheduleSource,
+            playoffSpots: projection.playoffSpots,
+            simulations: projection.simulations,
+            projectionSources,
+            standings: projection.standings,
+            weeks
+        });
+    } catch (error) {
+        console.error('âŒ Error projecting season:', error.message);
+        res.status(500).json({ error: 'Failed to project the season', details: error.message });
+    }
+});
+
+// Draft strategy profiles - JSON files in strategies/, editable from the draft screen
+app.get('/api/strategies', async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            defaultStrategyId: strategies.DEFAULT_STRATEGY_ID,
+            strategies: await strategies.listStrategies()
+        });
+    } catch (error) {
+        console.error('âŒ Error listing strategies:', error.message);
+        res.status(500).json({ error: 'Failed to list strategies' });
+    }
+});
+
+app.put('/api/strategies/:strategyId', async (req, res) => {
+    try {
+        const { strategy, error } = await strategies.saveStrategy(req.params.strategyId, req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        console.log(`ðŸ§­ Saved strategy profile ${strategy.id} (${strategy.name})`);
+        res.json({ success: true, strategy });
+    } catch (error) {
+        console.error('âŒ Error saving strategy:', error.message);
+        res.status(500).json({ error: 'Failed to save strategy' });
+    }
+});
+
+// Personal cheat sheets (custom rankings, tags, notes and tier lines) per user and
+// season. The user comes from the X-User-Id header.
+function getCheatSheetUserId(req) {
+    const userId = req.get('x-user-id') || req.query.userId;
+    return cheatSheets.isValidUserId(userId) ? userId : null;
+}
+
+app.get('/api/cheat-sheets/:seasonId', async (req, res) => {
+    try {
+        const userId = getCheatSheetUserId(req);
+        if (!userId) {
+            return res.status(400).json({ error: 'X-User-Id header must be lowercase letters, numbers and dashes' });
+        }
+        if (!cheatSheets.isValidSeasonId(req.params.seasonId)) {
+            return res.status(400).json({ error: 'Season must be a year, e.g. 2025' });
+        }
+        
+        res.json({ success: true, cheatSheet: await cheatSheets.getCheatSheet(req.params.seasonId, userId) });
+    } catch (error) {
+        console.error('âŒ Error loading cheat sheet:', error.message);
+        res.status(500).json({ error: 'Failed to load cheat sheet' });
+    }
+});
+
+// Body: { rankings: { ALL: [playerId, ...], RB: [...] }, tierBreaks: { ALL: [12, 24] },
+// players: { <playerId>: { tags: ['target'], note } } } - replaces the saved sheet
+app.put('/api/cheat-sheets/:seasonId', async (req, res) => {
+    try {
+        const userId = getCheatSheetUserId(req);
+        if (!userId) {
+            return res.status(400).json({ error: 'X-User-Id header must be lowercase letters, numbers and dashes' });
+        }
+        if (!cheatSheets.isValidSeasonId(req.params.seasonId)) {
+            return res.status(400).json({ error: 'Season must be a year, e.g. 2025' });
+        }
+        
+        const { cheatSheet, error } = await cheatSheets.saveCheatSheet(req.params.seasonId, userId, req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        
+        res.json({ success: true, cheatSheet });
+    } catch (error) {
+        console.error('âŒ Error saving cheat sheet:', error.message);
+        res.status(500).json({ error: 'Failed to save cheat sheet' });
+    }
+});
+
+// Ranking/projection sources imported from other sites, with their consensus weights
+app.get('/api/projections/:seasonId', async (req, res) => {
+    try {
+        const seasonId = parseInt(req.params.seasonId);
+        if (!projectionSources.isValidSeasonId(req.params.seasonId)) {
+            return res.status(400).json({ error: 'Season must be a year, e.g. 2025' });
+        }
+        res.json({ success: true, seasonId, ...await projectionSources.listSources(seasonId) });
+    } catch (error) {
+        console.error('âŒ Error listing projection sources:', error.message);
+        res.status(500).json({ error: 'Failed to list projection sources' });
+    }
+});
+
+// Import (or replace) a source. Send the file as text/csv with ?name=&weight=, or JSON:
+// { name, weight, format: 'csv' | 'json', content } or just an array of rows. Names are
+// matched against the league's latest player snapshot, so load the player pool first.
+app.put('/api/projections/:seasonId/sources/:sourceId', bodyParser.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), async (req, res) => {
+    try {
+        const seasonId = parseInt(req.params.seasonId);
+        if (!projectionSources.isValidSeasonId(req.params.seasonId)) {
+            return res.status(400).json({ error: 'Season must be a year, e.g. 2025' });
+        }
+        const leagueId = (req.leagueConfig && req.leagueConfig.leagueId) || parseInt(req.query.leagueId) || null;
+        if (!leagueId) {
+            return res.status(400).json({ error: 'Must connect to league first' });
+        }
+        
+        let upload;
+        if (typeof req.body === 'string') {
+            upload = { name: req.query.name, weight: req.query.weight, format: 'csv', content: req.body };
+        } else if (Array.isArray(req.body)) {
+            upload = { name: req.query.name, weight: req.query.weight, format: 'json', content: req.body };
+        } else {
+            upload = { ...req.body, format: req.body.format || (typeof req.body.content === 'string' ? 'csv' : 'json') };
+            if (upload.content === undefined) upload.content = req.body.rows;
+        }
+        const weight = upload.weight === undefined || upload.weight === '' ? undefined : Number(upload.weight);
+        
+        if (upload.format !== 'csv' && upload.format !== 'json') {
+            return res.status(400).json({ error: 'format must be csv or json' });
+        }
+        const { rows, error: parseError } = rankingImport.parseRankings(upload.content, upload.format);
+        if (parseError) {
+            return res.status(400).json({ error: parseError });
+        }
         
-        if (leagueConfig.espnS2 && leagueConfig.swid) {
-            headers['Cookie'] = `espn_s2=${leagueConfig.espnS2}; SWID=${leagueConfig.swid}`;
+        const cached = await playerSnapshots.findSnapshot(leagueId, seasonId);
+        if (!cached) {
+            return res.status(409).json({ error: 'Load the player pool for this season before importing rankings' });
         }
         
-        const response = await axios.get(freeAgentsUrl, {
-            headers,
-            params: {
-                view: 'kona_player_info',
-                scoringPeriodId: 0
-            },
-            timeout: 15000
+        const playersById = new Map(cached.snapshot.players.map(player => [player.id, player]));
+        const match = rankingImport.createMatcher(cached.snapshot.players);
+        const matchedRows = projectionSources.keepBestMatches(rows.map(row => ({ ...row, ...match(row) })));
+        
+        const { source, error } = await projectionSources.saveSource(seasonId, req.params.sourceId, {
+            name: upload.name,
+            weight,
+            format: upload.format,
+            rows: matchedRows
         });
+        if (error) {
+            return res.status(400).json({ error });
+        }
         
+        console.log(`ðŸ“¥ Imported ${source.name}: ${source.matchedCount}/${source.rowCount} players matched (${source.fuzzyMatchCount} fuzzy, ${source.duplicateCount} duplicates)`);
         res.json({
             success: true,
-            responseKeys: Object.keys(response.data || {}),
-            sampleData: response.data,
-            playerCount: response.data.players ? response.data.players.length : 0,
-            samplePlayer: response.data.players ? response.data.players[0] : null
+            source,
+            // Worth a look before trusting the consensus
+            fuzzyMatches: matchedRows
+                .filter(row => row.method === 'fuzzy')
+                .map(row => ({ name: row.name, playerId: row.playerId, matchedName: playersById.get(row.playerId).name, score: row.score })),
+            unmatched: matchedRows
+                .filter(row => !row.playerId)
+                .map(row => ({ name: row.name, team: row.team, position: row.position, reason: row.reason, ...(row.duplicateOf && { duplicateOf: row.duplicateOf }) }))
         });
-        
     } catch (error) {
-        res.status(500).json({
-            error: error.message,
-            details: 'Test free agents endpoint failed'
-        });
+        console.error('âŒ Error importing projection source:', error.message);
+        res.status(500).json({ error: 'Failed to import projection source' });
     }
 });
 
-app.get('/api/teams/:seasonId', async (req, res) => {
+app.delete('/api/projections/:seasonId/sources/:sourceId', async (req, res) => {
     try {
-        if (!leagueConfig) {
-            return res.status(400).json({ error: 'Not connected to ESPN league' });
-        }
-        
         const seasonId = parseInt(req.params.seasonId);
-        console.log(`ðŸ‘¥ Fetching teams for season ${seasonId}`);
-        
-        const endpoint = `/seasons/${seasonId}/segments/0/leagues/${leagueConfig.leagueId}`;
-        const params = { view: ['mTeam', 'mRoster'].join(',') };
-        
-        const data = await makeESPNRequest(endpoint, leagueConfig, params);
-        
-        const teams = (data.teams || []).map(team => ({
-            id: team.id,
-            name: `${team.location} ${team.nickname}`,
-            owner: team.primaryOwner,
-            record: team.record?.overall || { wins: 0, losses: 0, ties: 0 },
-            roster: team.roster?.entries?.map(entry => ({
-                playerId: entry.playerId,
-                playerName: entry.playerPoolEntry?.player?.fullName || 'Unknown',
-                position: getPositionName(entry.playerPoolEntry?.player?.defaultPositionId),
-                lineupSlotId: entry.lineupSlotId
-            })) || []
-        }));
-        
-        res.json(teams);
+        if (!projectionSources.isValidSeasonId(req.params.seasonId)) {
+            return res.status(400).json({ error: 'Season must be a year, e.g. 2025' });
+        }
+        const deleted = await projectionSources.deleteSource(seasonId, req.params.sourceId);
+        if (!deleted) {
+            return res.status(404).json({ error: 'Projection source not found' });
+        }
         
+        res.json({ success: true, seasonId, ...await projectionSources.listSources(seasonId) });
     } catch (error) {
-        console.error('âŒ Error fetching teams:', error.message);
-        res.status(500).json({ error: 'Failed to fetch teams' });
+        console.error('âŒ Error deleting projection source:', error.message);
+        res.status(500).json({ error: 'Failed to delete projection source' });
     }
 });
 
-app.get('/api/draft/:seasonId', async (req, res) => {
+// Consensus weights. Body: { espn: 1, <sourceId>: 2, ... } - 0 leaves a source out.
+app.put('/api/projections/:seasonId/weights', async (req, res) => {
     try {
-        if (!leagueConfig) {
-            return res.status(400).json({ error: 'Not connected to ESPN league' });
-        }
-        
         const seasonId = parseInt(req.params.seasonId);
-        console.log(`ðŸˆ Fetching draft info for season ${seasonId}`);
-        
-        const endpoint = `/seasons/${seasonId}/segments/0/leagues/${leagueConfig.leagueId}`;
-        const params = { view: 'mDraftDetail' };
-        
-        const data = await makeESPNRequest(endpoint, leagueConfig, params);
-        
-        const draftInfo = {
-            drafted: data.draftDetail?.drafted || false,
-            picks: data.draftDetail?.picks?.map(pick => ({
-                playerId: pick.playerId,
-                teamId: pick.teamId,
-                roundId: pick.roundId,
-                roundPickNumber: pick.roundPickNumber,
-                overallPickNumber: pick.overallPickNumber,
-                playerName: pick.playerPoolEntry?.player?.fullName || 'Unknown',
-                position: getPositionName(pick.playerPoolEntry?.player?.defaultPositionId),
-                team: getTeamAbbr(pick.playerPoolEntry?.player?.proTeamId)
-            })) || []
-        };
-        
-        res.json(draftInfo);
+        if (!projectionSources.isValidSeasonId(req.params.seasonId)) {
+            return res.status(400).json({ error: 'Season must be a year, e.g. 2025' });
+        }
+        const error = await projectionSources.setWeights(seasonId, req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
         
+        res.json({ success: true, seasonId, ...await projectionSources.listSources(seasonId) });
     } catch (error) {
-        console.error('âŒ Error fetching draft info:', error.message);
-        res.status(500).json({ error: 'Failed to fetch draft information' });
+        console.error('âŒ Error saving projection weights:', error.message);
+        res.status(500).json({ error: 'Failed to save projection weights' });
     }
 });
 
@@ -521,41 +1318,28 @@ app.get('/api/debug/:seasonId', async (req, res) => {
         
         // Test 1: Free agents endpoint
         try {
-            const freeAgentsUrl = `${ESPN_BASE_URL}/seasons/${seasonId}/players`;
-            const headers = {
-                'Accept': 'application/json',
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-                'X-Fantasy-Filter': JSON.stringify({
-                    players: { limit: 50 }
-                })
-            };
-            
-            const response = await axios.get(freeAgentsUrl, {
-                headers,
-                params: { view: 'players_wl' },
-                timeout: 10000
-            });
+            const data = await espn.getSeasonPlayers(seasonId, { players: { limit: 50 } }, { timeout: 10000 });
             
             debugInfo.endpoints.push({
                 name: 'Free Agents',
-                url: freeAgentsUrl,
+                url: `${espn.BASE_URL}/seasons/${seasonId}/players`,
                 status: 'SUCCESS',
-                playerCount: response.data?.length || 0,
-                samplePlayer: response.data?.[0]?.player?.fullName || 'None'
+                playerCount: data?.length || 0,
+                samplePlayer: data?.[0]?.player?.fullName || 'None'
             });
             
-            if (response.data && response.data.length > 0) {
-                debugInfo.totalPlayers += response.data.length;
+            if (data && data.length > 0) {
+                debugInfo.totalPlayers += data.length;
                 
                 // Get position breakdown
-                response.data.forEach(entry => {
+                data.forEach(entry => {
                     const player = entry.player || entry;
                     const position = getPositionName(player.defaultPositionId);
                     debugInfo.positionBreakdown[position] = (debugInfo.positionBreakdown[position] || 0) + 1;
                 });
                 
                 // Get sample players
-                debugInfo.samplePlayers = response.data.slice(0, 5).map(entry => {
+                debugInfo.samplePlayers = data.slice(0, 5).map(entry => {
                     const player = entry.player || entry;
                     return {
                         name: player.fullName,
@@ -602,36 +1386,18 @@ app.get('/api/test-players/:seasonId', async (req, res) => {
         // Test 1: Current working endpoint
         try {
             console.log('ðŸ“¡ Testing current players endpoint...');
-            const currentUrl = `${ESPN_BASE_URL}/seasons/${seasonId}/players`;
-            const currentHeaders = {
-                'Accept': 'application/json',
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-                'X-Fantasy-Filter': JSON.stringify({
-                    players: {
-                        limit: 100,
-                        sortPercOwned: {
-                            sortPriority: 1,
-                            sortAsc: false
-                        }
-                    }
-                })
-            };
-            
-            const currentResponse = await axios.get(currentUrl, {
-                headers: currentHeaders,
-                params: { view: 'players_wl' },
-                timeout: 10000
-            });
+            const currentUrl = `${espn.BASE_URL}/seasons/${seasonId}/players`;
+            const currentData = await espn.getSeasonPlayers(seasonId, espn.playerFilter({ limit: 100 }), { timeout: 10000 });
             
             testResults.endpoints.push({
                 name: 'Current Working',
                 url: currentUrl,
                 view: 'players_wl',
                 status: 'SUCCESS',
-                playerCount: currentResponse.data?.length || 0,
-                samplePlayer: currentResponse.data?.[0],
-                hasADP: currentResponse.data?.[0]?.ownership?.averageDraftPosition > 0,
-                hasProjections: currentResponse.data?.[0]?.stats?.[0]?.appliedTotal > 0
+                playerCount: currentData?.length || 0,
+                samplePlayer: currentData?.[0],
+                hasADP: currentData?.[0]?.ownership?.averageDraftPosition > 0,
+                hasProjections: currentData?.[0]?.stats?.[0]?.appliedTotal > 0
             });
             
         } catch (error) {
@@ -645,26 +1411,8 @@ app.get('/api/test-players/:seasonId', async (req, res) => {
         // Test 2: Try sortAdp filter
         try {
             console.log('ðŸ“¡ Testing sortAdp filter...');
-            const adpUrl = `${ESPN_BASE_URL}/seasons/${seasonId}/players`;
-            const adpHeaders = {
-                'Accept': 'application/json',
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-                'X-Fantasy-Filter': JSON.stringify({
-                    players: {
-                        limit: 100,
-                        sortAdp: {
-                            sortPriority: 1,
-                            sortAsc: true
-                        }
-                    }
-                })
-            };
-            
-            const adpResponse = await axios.get(adpUrl, {
-                headers: adpHeaders,
-                params: { view: 'players_wl' },
-                timeout: 10000
-            });
+            const adpUrl = `${espn.BASE_URL}/seasons/${seasonId}/players`;
+            const adpData = await espn.getSeasonPlayers(seasonId, espn.playerFilter({ limit: 100, sort: { sortAdp: { sortPriority: 1, sortAsc: true } } }), { timeout: 10000 });
             
             testResults.endpoints.push({
                 name: 'Sort by ADP',
@@ -672,10 +1420,10 @@ app.get('/api/test-players/:seasonId', async (req, res) => {
                 view: 'players_wl',
                 filter: 'sortAdp',
                 status: 'SUCCESS',
-                playerCount: adpResponse.data?.length || 0,
-                samplePlayer: adpResponse.data?.[0],
-                hasADP: adpResponse.data?.[0]?.ownership?.averageDraftPosition > 0,
-                hasProjections: adpResponse.data?.[0]?.stats?.[0]?.appliedTotal > 0
+                playerCount: adpData?.length || 0,
+                samplePlayer: adpData?.[0],
+                hasADP: adpData?.[0]?.ownership?.averageDraftPosition > 0,
+                hasProjections: adpData?.[0]?.stats?.[0]?.appliedTotal > 0
             });
             
         } catch (error) {
@@ -689,24 +1437,10 @@ app.get('/api/test-players/:seasonId', async (req, res) => {
         // Test 3: Try mProjections view
         try {
             console.log('ðŸ“¡ Testing mProjections view...');
-            const projUrl = `${ESPN_BASE_URL}/seasons/${seasonId}/players`;
-            const projHeaders = {
-                'Accept': 'application/json',
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-                'X-Fantasy-Filter': JSON.stringify({
-                    players: {
-                        limit: 100,
-                        sortPercOwned: {
-                            sortPriority: 1,
-                            sortAsc: false
-                        }
-                    }
-                })
-            };
-            
-            const projResponse = await axios.get(projUrl, {
-                headers: projHeaders,
-                params: { view: ['players_wl', 'mProjections'].join(',') },
+            const projUrl = `${espn.BASE_URL}/seasons/${seasonId}/players`;
+            const projData = await espn.request(`/seasons/${seasonId}/players`, {
+                views: [espn.VIEWS.PLAYERS, espn.VIEWS.PROJECTIONS],
+                filter: espn.playerFilter({ limit: 100 }),
                 timeout: 10000
             });
             
@@ -715,11 +1449,11 @@ app.get('/api/test-players/:seasonId', async (req, res) => {
                 url: projUrl,
                 view: 'players_wl,mProjections',
                 status: 'SUCCESS',
-                playerCount: projResponse.data?.length || 0,
-                samplePlayer: projResponse.data?.[0],
-                hasADP: projResponse.data?.[0]?.ownership?.averageDraftPosition > 0,
-                hasProjections: projResponse.data?.[0]?.stats?.[0]?.appliedTotal > 0,
-                rawStats: projResponse.data?.[0]?.stats
+                playerCount: projData?.length || 0,
+                samplePlayer: projData?.[0],
+                hasADP: projData?.[0]?.ownership?.averageDraftPosition > 0,
+                hasProjections: projData?.[0]?.stats?.[0]?.appliedTotal > 0,
+                rawStats: projData?.[0]?.stats
             });
             
         } catch (error) {
@@ -734,36 +1468,18 @@ app.get('/api/test-players/:seasonId', async (req, res) => {
         if (seasonId === 2025) {
             try {
                 console.log('ðŸ“¡ Testing 2024 fallback data...');
-                const fallbackUrl = `${ESPN_BASE_URL}/seasons/2024/players`;
-                const fallbackHeaders = {
-                    'Accept': 'application/json',
-                    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-                    'X-Fantasy-Filter': JSON.stringify({
-                        players: {
-                            limit: 100,
-                            sortAdp: {
-                                sortPriority: 1,
-                                sortAsc: true
-                            }
-                        }
-                    })
-                };
-                
-                const fallbackResponse = await axios.get(fallbackUrl, {
-                    headers: fallbackHeaders,
-                    params: { view: 'players_wl' },
-                    timeout: 10000
-                });
+                const fallbackUrl = `${espn.BASE_URL}/seasons/2024/players`;
+                const fallbackData = await espn.getSeasonPlayers(2024, espn.playerFilter({ limit: 100, sort: { sortAdp: { sortPriority: 1, sortAsc: true } } }), { timeout: 10000 });
                 
                 testResults.endpoints.push({
                     name: '2024 Fallback Data',
                     url: fallbackUrl,
                     view: 'players_wl',
                     status: 'SUCCESS',
-                    playerCount: fallbackResponse.data?.length || 0,
-                    samplePlayer: fallbackResponse.data?.[0],
-                    hasADP: fallbackResponse.data?.[0]?.ownership?.averageDraftPosition > 0,
-                    hasProjections: fallbackResponse.data?.[0]?.stats?.[0]?.appliedTotal > 0
+                    playerCount: fallbackData?.length || 0,
+                    samplePlayer: fallbackData?.[0],
+                    hasADP: fallbackData?.[0]?.ownership?.averageDraftPosition > 0,
+                    hasProjections: fallbackData?.[0]?.stats?.[0]?.appliedTotal > 0
                 });
                 
             } catch (error) {
@@ -803,50 +1519,36 @@ app.get('/api/test-players/:seasonId', async (req, res) => {
 
 app.get('/api/players-free-agents/:seasonId', async (req, res) => {
     try {
+        const leagueConfig = req.leagueConfig;
         const seasonId = parseInt(req.params.seasonId);
         console.log(`ðŸ” Fetching free agents for season ${seasonId}`);
         
         // Use ESPN's getFreeAgents endpoint which should have complete data
-        const freeAgentsUrl = `${ESPN_BASE_URL}/seasons/${seasonId}/segments/0/leagues/${leagueConfig?.leagueId || 123456}`;
-        
-        const headers = {
-            'Accept': 'application/json',
-            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-        };
-        
-        // Add authentication if available
-        if (leagueConfig?.espnS2 && leagueConfig?.swid) {
-            headers['Cookie'] = `espn_s2=${leagueConfig.espnS2}; SWID=${leagueConfig.swid}`;
-        }
-        
-        // Try the getFreeAgents equivalent API call
-        const params = {
-            view: ['kona_player_info', 'players_wl', 'mDraftDetail'].join(','),
-            scoringPeriodId: 0  // 0 = preseason, should have all players
-        };
+        const freeAgentsPath = espn.leaguePath(seasonId, leagueConfig?.leagueId || 123456);
+        const views = [espn.VIEWS.PLAYER_INFO, espn.VIEWS.PLAYERS, espn.VIEWS.DRAFT_DETAIL];
         
         console.log(`ðŸ“¡ Making getFreeAgents API call...`);
-        console.log(`ðŸ”— URL: ${freeAgentsUrl}`);
-        console.log(`ðŸ“‹ Params:`, params);
+        console.log(`ðŸ”— URL: ${espn.BASE_URL}${freeAgentsPath}`);
         
-        const response = await axios.get(freeAgentsUrl, {
-            headers,
-            params,
-            timeout: 20000
+        // Try the getFreeAgents equivalent API call - scoring period 0 = preseason, should have all players
+        const data = await espn.request(freeAgentsPath, {
+            config: leagueConfig,
+            views,
+            params: { scoringPeriodId: 0 }
         });
         
         console.log(`âœ… getFreeAgents response received`);
-        console.log(`ðŸ“Š Response keys:`, Object.keys(response.data || {}));
+        console.log(`ðŸ“Š Response keys:`, Object.keys(data || {}));
         
         // Check different possible data locations
         let playersData = [];
         
-        if (response.data.players) {
-            playersData = response.data.players;
-            console.log(`ðŸ“¦ Found players in response.data.players: ${playersData.length}`);
-        } else if (response.data.teams) {
+        if (data.players) {
+            playersData = data.players;
+            console.log(`ðŸ“¦ Found players in data.players: ${playersData.length}`);
+        } else if (data.teams) {
             // Sometimes players are nested in team rosters
-            response.data.teams.forEach(team => {
+            data.teams.forEach(team => {
                 if (team.roster && team.roster.entries) {
                     team.roster.entries.forEach(entry => {
                         if (entry.playerPoolEntry && entry.playerPoolEntry.player) {
@@ -860,7 +1562,7 @@ app.get('/api/players-free-agents/:seasonId', async (req, res) => {
         
         if (playersData.length === 0) {
             console.log(`âš ï¸ No players found, checking all response data...`);
-            console.log(`ðŸ“Š Full response structure:`, JSON.stringify(response.data, null, 2).substring(0, 1000));
+            console.log(`ðŸ“Š Full response structure:`, JSON.stringify(data, null, 2).substring(0, 1000));
             throw new Error('No players found in getFreeAgents response');
         }
         
@@ -870,8 +1572,8 @@ app.get('/api/players-free-agents/:seasonId', async (req, res) => {
             success: true,
             playerCount: playersData.length,
             samplePlayer: playersData[0],
-            dataStructure: Object.keys(response.data || {}),
-            rawResponse: response.data
+            dataStructure: Object.keys(data || {}),
+            rawResponse: data
         });
         
     } catch (error) {
@@ -886,6 +1588,7 @@ app.get('/api/players-free-agents/:seasonId', async (req, res) => {
 // ENHANCED VERSION - Try multiple ESPN endpoints for complete data
 app.get('/api/players-enhanced-espn/:seasonId', async (req, res) => {
     try {
+        const leagueConfig = req.leagueConfig;
         const seasonId = parseInt(req.params.seasonId);
         console.log(`ðŸ” Enhanced ESPN player fetch for season ${seasonId}`);
         
@@ -899,27 +1602,13 @@ app.get('/api/players-enhanced-espn/:seasonId', async (req, res) => {
         try {
             console.log(`ðŸ“¡ Method 1: kona_player_info with league context...`);
             
-            const leagueUrl = `${ESPN_BASE_URL}/seasons/${seasonId}/segments/0/leagues/${leagueConfig.leagueId}`;
-            const headers = {
-                'Accept': 'application/json',
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-            };
-            
-            if (leagueConfig.espnS2 && leagueConfig.swid) {
-                headers['Cookie'] = `espn_s2=${leagueConfig.espnS2}; SWID=${leagueConfig.swid}`;
-            }
-            
-            const response = await axios.get(leagueUrl, {
-                headers,
-                params: {
-                    view: 'kona_player_info',
-                    scoringPeriodId: 1  // Week 1 should have projections
-                },
+            const data = await espn.getLeaguePlayers(leagueConfig, seasonId, null, {
+                params: { scoringPeriodId: 1 },  // Week 1 should have projections
                 timeout: 15000
             });
             
-            if (response.data && response.data.players) {
-                allPlayersData = response.data.players;
+            if (data && data.players) {
+                allPlayersData = data.players;
                 console.log(`âœ… Method 1 success: ${allPlayersData.length} players`);
             } else {
                 console.log(`âš ï¸ Method 1: No players in response`);
@@ -934,35 +1623,28 @@ app.get('/api/players-enhanced-espn/:seasonId', async (req, res) => {
             try {
                 console.log(`ðŸ“¡ Method 2: X-Fantasy-Filter for projections...`);
                 
-                const playersUrl = `${ESPN_BASE_URL}/seasons/${seasonId}/players`;
-                const headers = {
-                    'Accept': 'application/json',
-                    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-                    'X-Fantasy-Filter': JSON.stringify({
-                        players: {
-                            limit: 1000,
+                const data = await espn.request(`/seasons/${seasonId}/players`, {
+                    views: [espn.VIEWS.PLAYER_INFO, espn.VIEWS.PROJECTIONS, espn.VIEWS.DRAFT_DETAIL],
+                    filter: espn.playerFilter({
+                        limit: 1000,
+                        sort: {
                             sortDraftRanks: {
                                 sortPriority: 1,
                                 sortAsc: true,
                                 value: "STANDARD"
-                            },
+                            }
+                        },
+                        extra: {
                             filterStatsForExternalIds: {
                                 value: [2025]  // Season ID
                             }
                         }
-                    })
-                };
-                
-                const response = await axios.get(playersUrl, {
-                    headers,
-                    params: {
-                        view: ['kona_player_info', 'mProjections', 'mDraftDetail'].join(',')
-                    },
+                    }),
                     timeout: 15000
                 });
                 
-                if (response.data && Array.isArray(response.data)) {
-                    allPlayersData = response.data;
+                if (data && Array.isArray(data)) {
+                    allPlayersData = data;
                     console.log(`âœ… Method 2 success: ${allPlayersData.length} players`);
                 } else {
                     console.log(`âš ï¸ Method 2: Invalid response structure`);
@@ -978,31 +1660,13 @@ app.get('/api/players-enhanced-espn/:seasonId', async (req, res) => {
             try {
                 console.log(`ðŸ“¡ Method 3: Working endpoint with enhanced views...`);
                 
-                const playersUrl = `${ESPN_BASE_URL}/seasons/${seasonId}/players`;
-                const headers = {
-                    'Accept': 'application/json',
-                    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-                    'X-Fantasy-Filter': JSON.stringify({
-                        players: {
-                            limit: 2000,
-                            sortPercOwned: {
-                                sortPriority: 1,
-                                sortAsc: false
-                            }
-                        }
-                    })
-                };
-                
-                const response = await axios.get(playersUrl, {
-                    headers,
-                    params: {
-                        view: ['players_wl', 'kona_player_info', 'mStats', 'mProjections'].join(',')
-                    },
-                    timeout: 20000
+                const data = await espn.request(`/seasons/${seasonId}/players`, {
+                    views: [espn.VIEWS.PLAYERS, espn.VIEWS.PLAYER_INFO, espn.VIEWS.STATS, espn.VIEWS.PROJECTIONS],
+                    filter: espn.playerFilter({ limit: 2000 })
                 });
                 
-                if (response.data && Array.isArray(response.data)) {
-                    allPlayersData = response.data;
+                if (data && Array.isArray(data)) {
+                    allPlayersData = data;
                     console.log(`âœ… Method 3 success: ${allPlayersData.length} players`);
                 } else {
                     console.log(`âš ï¸ Method 3: Invalid response structure`);
@@ -1143,279 +1807,6 @@ app.get('/api/players-enhanced-espn/:seasonId', async (req, res) => {
 });
 
 
-// CORRECT IMPLEMENTATION based on official ESPN API docs
-// Replace your /api/players/:seasonId with this:
-
-app.get('/api/players/:seasonId', async (req, res) => {
-    try {
-        const seasonId = parseInt(req.params.seasonId);
-        console.log(`ðŸ” Fetching players using getFreeAgents equivalent for season ${seasonId}`);
-        
-        if (!leagueConfig || !leagueConfig.leagueId) {
-            return res.status(400).json({ error: 'Must connect to league first' });
-        }
-        
-        // Use getFreeAgents equivalent - this should return FreeAgentPlayerMap objects
-        const freeAgentsUrl = `${ESPN_BASE_URL}/seasons/${seasonId}/segments/0/leagues/${leagueConfig.leagueId}`;
-        
-        const headers = {
-            'Accept': 'application/json',
-            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-        };
-        
-        if (leagueConfig.espnS2 && leagueConfig.swid) {
-            headers['Cookie'] = `espn_s2=${leagueConfig.espnS2}; SWID=${leagueConfig.swid}`;
-        }
-        
-        console.log(`ðŸ“¡ Making getFreeAgents API call to: ${freeAgentsUrl}`);
-        
-        const response = await axios.get(freeAgentsUrl, {
-            headers,
-            params: {
-                view: 'kona_player_info',  // This should return complete player info
-                scoringPeriodId: 0  // 0 = preseason, should have all players available
-            },
-            timeout: 20000
-        });
-        
-        console.log(`âœ… getFreeAgents response received`);
-        console.log(`ðŸ“Š Response structure:`, Object.keys(response.data || {}));
-        
-        // The docs show that players should be in the response
-        let playersData = [];
-        
-        if (response.data.players) {
-            playersData = response.data.players;
-            console.log(`ðŸ“¦ Found players in response.data.players: ${playersData.length}`);
-        } else {
-            console.log(`âš ï¸ No players found, checking full response structure...`);
-            console.log(`ðŸ“Š Full response:`, JSON.stringify(response.data, null, 2).substring(0, 1000));
-            
-            // Fall back to your original working endpoint if getFreeAgents doesn't work
-            console.log(`ðŸ”„ Falling back to original players endpoint...`);
-            
-            const fallbackUrl = `${ESPN_BASE_URL}/seasons/${seasonId}/players`;
-            const fallbackHeaders = {
-                'Accept': 'application/json',
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-                'X-Fantasy-Filter': JSON.stringify({
-                    players: {
-                        limit: 2000,
-                        sortPercOwned: {
-                            sortPriority: 1,
-                            sortAsc: false
-                        }
-                    }
-                })
-            };
-            
-            const fallbackResponse = await axios.get(fallbackUrl, {
-                headers: fallbackHeaders,
-                params: { view: 'players_wl' },
-                timeout: 20000
-            });
-            
-            if (fallbackResponse.data && Array.isArray(fallbackResponse.data)) {
-                playersData = fallbackResponse.data;
-                console.log(`âœ… Fallback successful: ${playersData.length} players`);
-            } else {
-                throw new Error('Both getFreeAgents and fallback failed');
-            }
-        }
-        
-        if (playersData.length === 0) {
-            throw new Error('No players data retrieved');
-        }
-        
-        console.log(`ðŸ” Processing ${playersData.length} players...`);
-        
-        // Sample player structure for debugging
-        if (playersData[0]) {
-            console.log(`ðŸ“Š Sample player structure:`, JSON.stringify(playersData[0], null, 2).substring(0, 500));
-        }
-        
-        // Process players according to FreeAgentPlayerMap structure from docs
-        const FANTASY_POSITIONS = [1, 2, 3, 4, 5, 16];
-        
-        const players = playersData.map(playerEntry => {
-            // Handle both direct player objects and wrapped player objects
-            const player = playerEntry.player || playerEntry;
-            
-            if (!player || !player.fullName) return null;
-            
-            // Extract data according to official PlayerMap structure
-            let adp = 999;
-            let projectedPoints = 0;
-            let ownership = 0;
-            
-            // According to docs, averageDraftPosition should be directly on player
-            if (player.averageDraftPosition) {
-                adp = player.averageDraftPosition;
-            } else if (player.ownership && player.ownership.averageDraftPosition) {
-                adp = player.ownership.averageDraftPosition;
-            }
-            
-            // According to docs, percentOwned should be directly on player  
-            if (player.percentOwned) {
-                ownership = player.percentOwned;
-            } else if (player.ownership && player.ownership.percentOwned) {
-                ownership = player.ownership.percentOwned;
-            }
-            
-            // According to docs, projectedRawStats should contain projections
-            if (playerEntry.projectedRawStats && playerEntry.projectedRawStats.appliedTotal) {
-                projectedPoints = playerEntry.projectedRawStats.appliedTotal;
-            } else if (player.projectedRawStats && player.projectedRawStats.appliedTotal) {
-                projectedPoints = player.projectedRawStats.appliedTotal;
-            } else if (player.stats && Array.isArray(player.stats)) {
-                // Look for projected stats in stats array
-                const projectedStat = player.stats.find(stat => 
-                    stat.seasonId === seasonId && stat.statSourceId === 1
-                );
-                if (projectedStat && projectedStat.appliedTotal) {
-                    projectedPoints = projectedStat.appliedTotal;
-                }
-            }
-            
-            return {
-                id: player.id,
-                name: player.fullName,
-                team: player.proTeamAbbreviation || getTeamAbbr(player.proTeamId),
-                position: player.defaultPosition || getPositionName(player.defaultPositionId),
-                positionId: player.defaultPositionId,
-                
-                // REAL DATA from ESPN API according to docs
-                projectedPoints: projectedPoints,
-                ownership: ownership,
-                adp: adp,
-                percentStarted: player.percentStarted || (player.ownership && player.ownership.percentStarted) || 0,
-                
-                // Status according to docs
-                eligiblePositions: player.eligiblePositions || (player.eligibleSlots && player.eligibleSlots.map(slot => getPositionName(slot)).filter(pos => pos !== 'Unknown')) || [getPositionName(player.defaultPositionId)],
-                availabilityStatus: player.availabilityStatus || 'FREEAGENT',
-                isDroppable: player.isDroppable !== false,
-                isInjured: player.isInjured === true,
-                injuryStatus: player.injuryStatus || 'ACTIVE',
-                
-                // Additional info
-                jerseyNumber: player.jerseyNumber,
-                
-                // Tier classification based on ADP
-                tier: adp <= 24 ? 'elite' : adp <= 60 ? 'starter' : adp <= 120 ? 'depth' : adp <= 180 ? 'popular' : 'sleeper',
-                
-                // Data quality indicators  
-                hasRealADP: adp > 0 && adp < 500,
-                hasRealProjections: projectedPoints > 0,
-                
-                // Debug info
-                rawPlayer: player,
-                rawPlayerEntry: playerEntry,
-                dataSource: 'getFreeAgents'
-            };
-        }).filter(player => {
-            if (!player || !player.name || player.name.length < 2) return false;
-            if (!FANTASY_POSITIONS.includes(player.positionId)) return false;
-            
-            // Keep all fantasy-relevant players
-            const hasSignificantOwnership = player.ownership > 1;
-            const hasValidADP = player.adp > 0 && player.adp < 400;
-            const hasProjections = player.projectedPoints > 0;
-            const isFantasyRelevant = player.ownership > 0 || player.adp < 500;
-            
-            return hasSignificantOwnership || hasValidADP || hasProjections || isFantasyRelevant;
-        }).sort((a, b) => {
-            // Sort by ADP first if available
-            if (a.hasRealADP && b.hasRealADP) {
-                return a.adp - b.adp;
-            }
-            if (a.hasRealADP && !b.hasRealADP) return -1;
-            if (!a.hasRealADP && b.hasRealADP) return 1;
-            
-            // Then by ownership
-            if (a.ownership !== b.ownership) {
-                return b.ownership - a.ownership;
-            }
-            
-            // Finally by projections
-            return b.projectedPoints - a.projectedPoints;
-        });
-        
-        console.log(`ðŸ“Š Processed ${players.length} fantasy players`);
-        
-        // Show data quality stats
-        const dataQuality = {
-            totalPlayers: players.length,
-            playersWithRealADP: players.filter(p => p.hasRealADP).length,
-            playersWithRealProjections: players.filter(p => p.hasRealProjections).length,
-            averageADP: players.filter(p => p.hasRealADP).reduce((sum, p) => sum + p.adp, 0) / players.filter(p => p.hasRealADP).length || 0,
-            averageProjections: players.filter(p => p.hasRealProjections).reduce((sum, p) => sum + p.projectedPoints, 0) / players.filter(p => p.hasRealProjections).length || 0
-        };
-        
-        console.log(`ðŸ“ˆ Data quality:`, dataQuality);
-        
-        // Show top 10 for debugging
-        console.log('ðŸ† Top 10 players:');
-        players.slice(0, 10).forEach((player, i) => {
-            console.log(`${i+1}. ${player.name} - ADP: ${player.adp} (${player.hasRealADP ? 'REAL' : 'fallback'}), Proj: ${player.projectedPoints} (${player.hasRealProjections ? 'REAL' : 'fallback'}), Own: ${player.ownership}%`);
-        });
-        
-        res.json(players);
-        
-    } catch (error) {
-        console.error('âŒ Error fetching players:', error.message);
-        res.status(500).json({ 
-            error: 'Failed to fetch players from ESPN API',
-            details: error.message,
-            timestamp: new Date().toISOString()
-        });
-    }
-});
-
-// ADD A SIMPLE TEST ENDPOINT TO CHECK DATA STRUCTURE
-app.get('/api/test-free-agents/:seasonId', async (req, res) => {
-    try {
-        const seasonId = parseInt(req.params.seasonId);
-        
-        if (!leagueConfig || !leagueConfig.leagueId) {
-            return res.status(400).json({ error: 'Must connect to league first' });
-        }
-        
-        const freeAgentsUrl = `${ESPN_BASE_URL}/seasons/${seasonId}/segments/0/leagues/${leagueConfig.leagueId}`;
-        
-        const headers = {
-            'Accept': 'application/json',
-            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-        };
-        
-        if (leagueConfig.espnS2 && leagueConfig.swid) {
-            headers['Cookie'] = `espn_s2=${leagueConfig.espnS2}; SWID=${leagueConfig.swid}`;
-        }
-        
-        const response = await axios.get(freeAgentsUrl, {
-            headers,
-            params: {
-                view: 'kona_player_info',
-                scoringPeriodId: 0
-            },
-            timeout: 15000
-        });
-        
-        res.json({
-            success: true,
-            responseKeys: Object.keys(response.data || {}),
-            sampleData: response.data,
-            playerCount: response.data.players ? response.data.players.length : 0,
-            samplePlayer: response.data.players ? response.data.players[0] : null
-        });
-        
-    } catch (error) {
-        res.status(500).json({
-            error: error.message,
-            details: 'Test free agents endpoint failed'
-        });
-    }
-});
-
 async function testEnhancedESPN() {
     try {
         showStatus('Testing enhanced ESPN API...', 'loading');
@@ -1479,13 +1870,19 @@ app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
+// Active league connections, without their ids or ESPN cookies. isCurrent marks the caller's.
+app.get('/api/connections', (req, res) => {
+    res.json(connections.listConnections(req.connectionId));
+});
+
 // Health check endpoint
 app.get('/api/health', (req, res) => {
     res.json({ 
         status: 'ok', 
-        connected: !!leagueConfig,
-        league: leagueConfig?.leagueId || 'Not connected',
-        apiUrl: ESPN_BASE_URL
+        connected: !!req.leagueConfig,
+        league: req.leagueConfig?.leagueId || 'Not connected',
+        activeConnections: connections.countConnections(),
+        apiUrl: espn.BASE_URL
     });
 });
 
@@ -1494,7 +1891,7 @@ app.listen(port, () => {
     console.log(`ðŸˆ Server: http://localhost:${port}`);
     console.log(`ðŸ“± Mobile: http://[YOUR_IP]:${port}`);
     console.log(`ðŸŽ¯ Ready for your draft!`);
-    console.log(`ðŸ”— Using ESPN API: ${ESPN_BASE_URL}`);
+    console.log(`ðŸ”— Using ESPN API: ${espn.BASE_URL}`);
     console.log('');
     console.log('ðŸ§ª Debug endpoint available: /api/debug/[seasonId]');
     console.log('ðŸ” Test endpoint available: /api/test/[leagueId]/[seasonId]');